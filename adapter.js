@@ -0,0 +1,81 @@
+"use strict";
+
+const {
+  PROBLEM_CONTENT_TYPE,
+  isProblemDetails,
+  formatProblemDetails,
+  checkErrorFormat,
+} = require("./problem");
+
+// The part of the framework adapters that doesn't depend on the framework,
+// which only map their request and response objects.
+function createAdapter(router, options) {
+  const {
+    securityHandlers,
+    ignoreUnmatchedRoutes = false,
+    errorFormat,
+  } = options;
+  checkErrorFormat(errorFormat);
+  // defaults to the errorFormat the router was generated with
+  const problem = (errorFormat || router.errorFormat) === "problem";
+
+  // instance is the url of the request in problem details
+  function formatError(err, instance) {
+    return problem || isProblemDetails(err)
+      ? formatProblemDetails(err, instance)
+      : err;
+  }
+
+  // Validates the request of the operation that router.resolve() returned.
+  // Returns the error to respond with, if any, and the sanitized request of
+  // sanitizing validators as value, or a promise of them with asynchronous
+  // security handlers.
+  function validate(resolved, request, instance) {
+    if (!resolved.route) {
+      return {
+        err: ignoreUnmatchedRoutes
+          ? undefined
+          : formatError(resolved, instance),
+      };
+    }
+    const result = resolved.route.validateRequest(
+      { ...request, params: resolved.params },
+      // the parameters of frameworks are strings
+      { securityHandlers, coerceParameters: true }
+    );
+    return whenResolved(result, (resolvedResult) => ({
+      err:
+        resolvedResult && resolvedResult.errors
+          ? formatError(resolvedResult, instance)
+          : undefined,
+      value: resolvedResult ? resolvedResult.value : undefined,
+    }));
+  }
+
+  return { validate, formatError };
+}
+
+// calls callback with value, or with what value resolves to if it's a promise
+function whenResolved(value, callback) {
+  return value && typeof value.then === "function"
+    ? value.then(callback)
+    : callback(value);
+}
+
+// the resource of express style route paths, for router.resolve()
+function toResource(routePath, basePath = "") {
+  return typeof routePath === "string"
+    ? basePath + routePath.replace(/:(\w+)/g, "{$1}")
+    : undefined;
+}
+
+function getErrorContentType(err) {
+  return isProblemDetails(err) ? PROBLEM_CONTENT_TYPE : "application/json";
+}
+
+module.exports = {
+  createAdapter,
+  whenResolved,
+  toResource,
+  getErrorContentType,
+};
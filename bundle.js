@@ -0,0 +1,133 @@
+"use strict";
+
+const standaloneCode = require("ajv/dist/standalone").default;
+
+// keywords whose meaning depends on the document a schema is part of
+const ANCHOR_REGEX =
+  /"\$(id|anchor|dynamicAnchor|dynamicRef|recursiveAnchor|recursiveRef)"/;
+
+// Compiles the validators of every operation of a spec, which are called in
+// memory, or generated into one module or a module each. The operations share
+// an Ajv instance per set of options, and subschemas equal to a component
+// schema are replaced by a $ref, so that each component schema is compiled
+// once. prepareSchema(schema, forbiddenKeyword) applies the same
+// transformations to the component schemas as to the schemas of operations.
+function createBundle(componentSchemas, prepareSchema) {
+  const instances = [];
+
+  function getComponentRefs(v, forbiddenKeyword) {
+    const refs = {};
+    const schemas = {};
+    Object.keys(componentSchemas || {}).forEach((name) => {
+      const schema = componentSchemas[name];
+      if (!schema || typeof schema !== "object" || Array.isArray(schema)) {
+        return;
+      }
+      const prepared = prepareSchema(schema, forbiddenKeyword);
+      const json = JSON.stringify(prepared);
+      if (!ANCHOR_REGEX.test(json) && !refs.hasOwnProperty(json)) {
+        refs[json] = `urn:components:schemas:${encodeURIComponent(name)}`;
+        schemas[refs[json]] = prepared;
+      }
+    });
+    Object.keys(schemas).forEach((ref) => {
+      v.addSchema(withComponentRefs(schemas[ref], refs, true), ref);
+    });
+    return refs;
+  }
+
+  return {
+    // returns the instance shared by the operations with the same options,
+    // whose custom formats and keywords are the same modules
+    getAjv(args, ajvOptions, forbiddenKeyword, createAjv) {
+      const key = JSON.stringify([
+        args.ajvOptions,
+        args.externalSchemas,
+        !!args.sanitize,
+        ajvOptions,
+        forbiddenKeyword,
+      ]);
+      const { customFormats, customKeywords } = args;
+      let instance = instances.find(
+        (candidate) =>
+          candidate.key === key &&
+          candidate.customFormats === customFormats &&
+          candidate.customKeywords === customKeywords
+      );
+      if (!instance) {
+        // referenced component schemas are compiled into functions of their own
+        const v = createAjv({ ...ajvOptions, inlineRefs: false });
+        instance = {
+          key,
+          customFormats,
+          customKeywords,
+          v,
+          refs: getComponentRefs(v, forbiddenKeyword),
+        };
+        instance.validators = {};
+        instances.push(instance);
+      }
+      return instance.v;
+    },
+    addValidator(v, schema, name) {
+      const instance = instances.find((candidate) => candidate.v === v);
+      v.addSchema(withComponentRefs(schema, instance.refs), name);
+      instance.validators[name] = name;
+    },
+    // the expression that evaluates to the validator in the bundle code
+    getValidator(name) {
+      const index = instances.findIndex((instance) =>
+        instance.validators.hasOwnProperty(name)
+      );
+      return index > -1 && `validators${index}[${JSON.stringify(name)}]`;
+    },
+    // the validator compiled in memory
+    getValidatorFunction(name) {
+      const instance = instances.find((candidate) =>
+        candidate.validators.hasOwnProperty(name)
+      );
+      return instance && instance.v.getSchema(name);
+    },
+    // the standalone module of one validator, with the schemas it references
+    getValidatorModule(name) {
+      const instance = instances.find((candidate) =>
+        candidate.validators.hasOwnProperty(name)
+      );
+      return instance && standaloneCode(instance.v, instance.v.getSchema(name));
+    },
+    getCode() {
+      return instances
+        .map((instance, i) =>
+          Object.keys(instance.validators).length
+            ? `const validators${i} = (function (exports) {${standaloneCode(
+                instance.v,
+                instance.validators
+              )}
+return exports;
+})({});`
+            : ""
+        )
+        .join("\n");
+    },
+  };
+}
+
+function withComponentRefs(schema, refs, isComponent) {
+  if (Array.isArray(schema)) {
+    return schema.map((item) => withComponentRefs(item, refs));
+  }
+  if (schema === null || typeof schema !== "object") {
+    return schema;
+  }
+  const json = JSON.stringify(schema);
+  if (!isComponent && refs.hasOwnProperty(json)) {
+    return { $ref: refs[json] };
+  }
+  const result = {};
+  Object.keys(schema).forEach((key) => {
+    result[key] = withComponentRefs(schema[key], refs);
+  });
+  return result;
+}
+
+module.exports = createBundle;
@@ -0,0 +1,162 @@
+#!/usr/bin/env node
+"use strict";
+
+const path = require("path");
+const { parseArgs } = require("util");
+const generateOASValidationCode = require("./index");
+
+const USAGE = `Usage: openapi-request-validator-generator [options] <spec...> <outDir>
+
+Generates request validators for each operation of the given OpenAPI specs.
+With several specs, each one is generated into <outDir>/<spec name>.
+
+Options:
+  --coerce-types                    coerce parameters to the types of their schemas
+  --validate-security               check the security requirements of operations
+  --no-lowercase-headers            validate header names as they are declared
+  --no-additional-query-properties  reject query parameters that are not declared
+  --custom-formats <module>         module exporting custom format functions
+  --custom-keywords <module>        module exporting custom Ajv keywords
+  --error-transformer <module>      module exporting a function that maps errors
+  --error-format <problem>          return RFC 7807 problem details for errors
+  --format <cjs|esm>                module format of the generated code
+  --bundle                          generate one module per spec
+  --check                           fail when the generated code is out of date
+  -w, --watch                       regenerate when the specs change
+  -q, --quiet                       only print errors
+  -h, --help                        show this help
+`;
+
+const OPTIONS = {
+  "coerce-types": { type: "boolean" },
+  "validate-security": { type: "boolean" },
+  "no-lowercase-headers": { type: "boolean" },
+  "no-additional-query-properties": { type: "boolean" },
+  "custom-formats": { type: "string" },
+  "custom-keywords": { type: "string" },
+  "error-transformer": { type: "string" },
+  "error-format": { type: "string" },
+  format: { type: "string" },
+  bundle: { type: "boolean" },
+  check: { type: "boolean" },
+  watch: { type: "boolean", short: "w" },
+  quiet: { type: "boolean", short: "q" },
+  help: { type: "boolean", short: "h" },
+};
+const FORMATS = ["cjs", "esm"];
+
+function main(argv) {
+  // the generator itself runs on older versions of Node.js
+  if (typeof parseArgs !== "function") {
+    process.stderr.write(
+      `openapi-request-validator-generator needs Node.js 16.17, 18.3 or later, not ${process.version}\n`
+    );
+    return 1;
+  }
+  let args;
+  try {
+    args = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (e) {
+    return usageError(e.message);
+  }
+  const { values, positionals } = args;
+  const { format = "cjs" } = values;
+
+  if (values.help) {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+  if (positionals.length < 2) {
+    return usageError("a spec and an output directory are required");
+  }
+  if (FORMATS.indexOf(format) === -1) {
+    return usageError(`unsupported --format ${format}`);
+  }
+  if (values.check && values.watch) {
+    return usageError("--check and --watch can't be combined");
+  }
+
+  const specs = positionals.slice(0, -1);
+  const outDir = positionals[positionals.length - 1];
+  const options = {
+    coerceTypes: values["coerce-types"],
+    validateSecurity: values["validate-security"],
+    customFormats: values["custom-formats"],
+    customKeywords: values["custom-keywords"],
+    errorTransformer: values["error-transformer"],
+    errorFormat: values["error-format"],
+    format,
+    bundle: values.bundle,
+    check: values.check,
+  };
+  if (values["no-lowercase-headers"]) {
+    options.enableHeadersLowercase = false;
+  }
+  if (values["no-additional-query-properties"]) {
+    options.additionalQueryProperties = false;
+  }
+
+  const getDir = (spec) =>
+    specs.length > 1
+      ? path.join(outDir, path.basename(spec, path.extname(spec)))
+      : outDir;
+
+  if (values.watch) {
+    specs.forEach((spec) => {
+      generateOASValidationCode.watch(spec, getDir(spec), {
+        ...options,
+        onGenerate: (routes) => {
+          if (!values.quiet) {
+            printSummary(spec, getDir(spec), routes);
+          }
+        },
+        onError: (e) => process.stderr.write(`${spec}: ${e.message}\n`),
+      });
+    });
+    // keeps running until interrupted
+    return;
+  }
+
+  for (const spec of specs) {
+    const dir = getDir(spec);
+    let routes;
+    try {
+      routes = generateOASValidationCode(spec, dir, options);
+    } catch (e) {
+      process.stderr.write(`${spec}: ${e.message}\n`);
+      return 1;
+    }
+    if (values.check) {
+      if (!values.quiet) {
+        process.stdout.write(`${spec}: ${dir} is up to date\n`);
+      }
+    } else if (!values.quiet) {
+      printSummary(spec, dir, routes);
+    }
+  }
+  return 0;
+}
+
+function printSummary(spec, dir, routes) {
+  process.stdout.write(
+    `${spec}: generated ${routes.length} operation validator${
+      routes.length === 1 ? "" : "s"
+    } in ${dir}\n`
+  );
+  routes.forEach((route) => {
+    process.stdout.write(
+      `  ${route.method.toUpperCase()} ${route.resource}${
+        route.operationId ? ` (${route.operationId})` : ""
+      } -> ${route.fileName}${
+        route.key ? `[${JSON.stringify(route.key)}]` : ""
+      }\n`
+    );
+  });
+}
+
+function usageError(message) {
+  process.stderr.write(`error: ${message}\n\n${USAGE}`);
+  return 2;
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,344 @@
+"use strict";
+
+const IDENTIFIER_REGEX = /^[A-Za-z_$][\w$]*$/;
+const PARAMETER_MEMBERS = [
+  ["headers", "header"],
+  ["query", "query"],
+  ["params", "path"],
+  ["cookies", "cookie"],
+];
+
+const RESULT_DECLARATIONS = `
+export interface ValidationError {
+  path?: string;
+  errorCode?: string;
+  message: string;
+  location?: string;
+  [key: string]: unknown;
+}
+
+export interface ValidationResult {
+  status: number;
+  errors: ValidationError[];
+}
+
+export interface ProblemDetails {
+  type: string;
+  title: string;
+  status: number;
+  detail: string;
+  instance?: string;
+  errors: Array<ValidationError & { pointer?: string }>;
+  [key: string]: unknown;
+}
+
+export type SanitizedResult<Value, Failure = ValidationResult> =
+  | (Failure & { value?: undefined })
+  | { status?: undefined; errors?: undefined; value: Value };
+
+export type SecurityHandler<Accepted = boolean> = (
+  request: Request,
+  scopes: string[],
+  scheme: unknown
+) => Accepted;
+
+export interface ValidateRequestOptions {
+  securityHandlers?: { [scheme: string]: SecurityHandler };
+  coerceParameters?: boolean;
+}
+
+export interface AsyncValidateRequestOptions {
+  securityHandlers: {
+    [scheme: string]: SecurityHandler<boolean | Promise<boolean>>;
+  };
+  coerceParameters?: boolean;
+}
+
+export interface Response {
+  status?: number | string;
+  statusCode?: number;
+  headers?: { [name: string]: unknown };
+  body?: unknown;
+}
+`;
+
+// TypeScript declarations of a generated endpoint module. bodySchemas are the
+// request body schemas of every media type, without file parts.
+function getDeclarations(options) {
+  const declarations = `export interface Request ${getRequestType(
+    options
+  )}\n${RESULT_DECLARATIONS}`;
+  const getResult = (prefix) => {
+    const problem = options.errorFormat === "problem";
+    if (options.sanitize) {
+      return `${prefix}SanitizedResult<${prefix}Request${
+        problem ? `, ${prefix}ProblemDetails` : ""
+      }>`;
+    }
+    return `${prefix}${
+      problem ? "ProblemDetails" : "ValidationResult"
+    } | undefined`;
+  };
+
+  if (options.esm) {
+    return `${declarations}
+export default function validateRequest(
+  request: Request,
+  options?: ValidateRequestOptions
+): ${getResult("")};
+export default function validateRequest(
+  request: Request,
+  options: AsyncValidateRequestOptions
+): Promise<${getResult("")}>;
+
+export function validateResponse(
+  response: Response
+): ValidationResult | undefined;
+`;
+  }
+  return `declare function validateRequest(
+  request: validateRequest.Request,
+  options?: validateRequest.ValidateRequestOptions
+): ${getResult("validateRequest.")};
+declare function validateRequest(
+  request: validateRequest.Request,
+  options: validateRequest.AsyncValidateRequestOptions
+): Promise<${getResult("validateRequest.")}>;
+
+declare namespace validateRequest {
+${indent(declarations, "  ")}
+  export function validateResponse(
+    response: Response
+  ): ValidationResult | undefined;
+}
+
+export = validateRequest;
+`;
+}
+
+// TypeScript declarations of a bundle, with the options of getDeclarations
+// and the key of each operation
+function getBundleDeclarations(operations, esm) {
+  const declarations = `export interface Request {
+  [key: string]: unknown;
+}
+${RESULT_DECLARATIONS}
+export interface ValidateRequest<
+  OperationRequest extends Request,
+  Failure = ValidationResult
+> {
+  (
+    request: OperationRequest,
+    options?: ValidateRequestOptions
+  ): Failure | undefined;
+  (
+    request: OperationRequest,
+    options: AsyncValidateRequestOptions
+  ): Promise<Failure | undefined>;
+  validateResponse(response: Response): ValidationResult | undefined;
+}
+
+export interface SanitizeRequest<
+  OperationRequest extends Request,
+  Failure = ValidationResult
+> {
+  (
+    request: OperationRequest,
+    options?: ValidateRequestOptions
+  ): SanitizedResult<OperationRequest, Failure>;
+  (
+    request: OperationRequest,
+    options: AsyncValidateRequestOptions
+  ): Promise<SanitizedResult<OperationRequest, Failure>>;
+  validateResponse(response: Response): ValidationResult | undefined;
+}`;
+  const validatorTypes = operations.map((operation) => {
+    const prefix = esm ? "" : "validators.";
+    return `  ${toPropertyName(operation.key)}: ${prefix}${
+      operation.sanitize ? "SanitizeRequest" : "ValidateRequest"
+    }<${indent(getRequestType(operation), "  ").trim()}${
+      operation.errorFormat === "problem" ? `, ${prefix}ProblemDetails` : ""
+    }>;`;
+  });
+  const validators = `declare const validators: {\n${validatorTypes.join(
+    "\n"
+  )}\n};`;
+
+  if (esm) {
+    return `${declarations}
+
+${validators}
+
+export default validators;
+`;
+  }
+  return `${validators}
+
+declare namespace validators {
+${indent(declarations, "  ")}
+}
+
+export = validators;
+`;
+}
+
+function getRequestType({
+  parameters = [],
+  bodySchemas = [],
+  isBodyRequired,
+  hasFiles,
+  coerceTypes,
+  enableHeadersLowercase = true,
+}) {
+  const members = [];
+  PARAMETER_MEMBERS.forEach(([member, location]) => {
+    const locationParameters = parameters.filter(
+      (parameter) => parameter.in === location
+    );
+    if (!locationParameters.length) {
+      return;
+    }
+    const properties = locationParameters.map((parameter) => {
+      const name =
+        location === "header" && enableHeadersLowercase
+          ? parameter.name.toLowerCase()
+          : parameter.name;
+      let type = schemaToType(parameter.schema || {}, "    ", "readOnly");
+      // coerced parameters may still be strings when they are passed in
+      if (coerceTypes && type !== "string") {
+        type = `${type} | string`;
+      }
+      return `    ${toPropertyName(name)}${
+        parameter.required ? "" : "?"
+      }: ${type};`;
+    });
+    const required = locationParameters.some((parameter) => parameter.required);
+    members.push(
+      `  ${member}${required ? "" : "?"}: {\n${properties.join(
+        "\n"
+      )}\n    [name: string]: unknown;\n  };`
+    );
+  });
+  if (bodySchemas.length) {
+    const types = bodySchemas
+      .map((schema) => schemaToType(schema, "  ", "readOnly"))
+      .filter((type, i, all) => all.indexOf(type) === i);
+    members.push(`  body${isBodyRequired ? "" : "?"}: ${types.join(" | ")};`);
+  }
+  if (hasFiles) {
+    members.push("  file?: unknown;", "  files?: unknown;");
+  }
+  members.push("  [key: string]: unknown;");
+  return `{\n${members.join("\n")}\n}`;
+}
+
+function schemaToType(schema, indentation, omittedKeyword) {
+  if (!schema || typeof schema !== "object") {
+    return schema === false ? "never" : "unknown";
+  }
+  let type;
+  if (schema.hasOwnProperty("const")) {
+    type = JSON.stringify(schema.const);
+  } else if (Array.isArray(schema.enum)) {
+    type = schema.enum.map((value) => JSON.stringify(value)).join(" | ");
+  } else if (schema.oneOf || schema.anyOf) {
+    type = (schema.oneOf || schema.anyOf)
+      .map((subschema) => schemaToType(subschema, indentation, omittedKeyword))
+      .join(" | ");
+  } else if (schema.allOf) {
+    type = schema.allOf
+      .map(
+        (subschema) =>
+          `(${schemaToType(subschema, indentation, omittedKeyword)})`
+      )
+      .join(" & ");
+  } else {
+    const types = [].concat(schema.type || getImpliedType(schema));
+    type = types.length
+      ? types
+          .map((jsonType) =>
+            jsonTypeToType(jsonType, schema, indentation, omittedKeyword)
+          )
+          .join(" | ")
+      : "unknown";
+  }
+  return schema.nullable === true ? `${type} | null` : type;
+}
+
+function getImpliedType(schema) {
+  if (schema.properties || schema.additionalProperties !== undefined) {
+    return "object";
+  }
+  if (schema.items) {
+    return "array";
+  }
+  return [];
+}
+
+function jsonTypeToType(jsonType, schema, indentation, omittedKeyword) {
+  switch (jsonType) {
+    case "string":
+      return "string";
+    case "integer":
+    case "number":
+      return "number";
+    case "boolean":
+      return "boolean";
+    case "null":
+      return "null";
+    case "array": {
+      const items = schemaToType(schema.items, indentation, omittedKeyword);
+      return `Array<${items}>`;
+    }
+    case "object":
+      return objectToType(schema, indentation, omittedKeyword);
+    default:
+      return "unknown";
+  }
+}
+
+function objectToType(schema, indentation, omittedKeyword) {
+  const properties = schema.properties || {};
+  const required = schema.required || [];
+  const memberIndentation = `${indentation}  `;
+  const members = Object.keys(properties)
+    .filter((name) => !(properties[name] || {})[omittedKeyword])
+    .map(
+      (name) =>
+        `${memberIndentation}${toPropertyName(name)}${
+          required.indexOf(name) > -1 ? "" : "?"
+        }: ${schemaToType(
+          properties[name],
+          memberIndentation,
+          omittedKeyword
+        )};`
+    );
+  if (schema.additionalProperties !== false) {
+    const valueType =
+      typeof schema.additionalProperties === "object" && !members.length
+        ? schemaToType(
+            schema.additionalProperties,
+            memberIndentation,
+            omittedKeyword
+          )
+        : "unknown";
+    members.push(`${memberIndentation}[key: string]: ${valueType};`);
+  }
+  return members.length ? `{\n${members.join("\n")}\n${indentation}}` : "{}";
+}
+
+function toPropertyName(name) {
+  return IDENTIFIER_REGEX.test(name) ? name : JSON.stringify(name);
+}
+
+function indent(text, indentation) {
+  return text
+    .split("\n")
+    .map((line) => (line ? indentation + line : line))
+    .join("\n");
+}
+
+module.exports = {
+  getDeclarations,
+  getBundleDeclarations,
+};
@@ -0,0 +1,122 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+
+function loadSpec(file) {
+  const source = fs.readFileSync(file, "utf-8");
+  return path.extname(file).toLowerCase() === ".json"
+    ? JSON.parse(source)
+    : yaml.load(source);
+}
+
+// Resolves every $ref of a spec, including relative refs to other files on
+// disk. Remote refs are not fetched. The files that were read are collected
+// into documents. Refs to the documents of externalIds are left to Ajv.
+function dereference(spec, file, documents = {}, externalIds = []) {
+  documents[file] = spec;
+  const resolved = {};
+  const externalDocuments = externalIds
+    .map((id) => id.split("#")[0])
+    .filter((document) => document);
+
+  function getDocument(documentFile, ref, from) {
+    if (!documents.hasOwnProperty(documentFile)) {
+      try {
+        documents[documentFile] = loadSpec(documentFile);
+      } catch (e) {
+        throw new Error(`Cannot resolve $ref ${ref} in ${from}: ${e.message}`);
+      }
+    }
+    return documents[documentFile];
+  }
+
+  function resolveRef(ref, from, chain) {
+    if (/^[a-z][a-z0-9+.-]*:/i.test(ref)) {
+      throw new Error(`Remote $ref ${ref} in ${from} is not supported`);
+    }
+    const hashIndex = ref.indexOf("#");
+    const refPath = hashIndex === -1 ? ref : ref.slice(0, hashIndex);
+    const pointer = hashIndex === -1 ? "" : ref.slice(hashIndex + 1);
+    const documentFile = refPath
+      ? path.resolve(path.dirname(from), decodeURI(refPath))
+      : from;
+    const key = `${documentFile}#${pointer}`;
+
+    if (resolved.hasOwnProperty(key)) {
+      return resolved[key];
+    }
+    if (chain.indexOf(key) > -1) {
+      throw new Error(
+        `Circular $ref ${chain
+          .slice(chain.indexOf(key))
+          .concat(key)
+          .map((link) => path.relative(process.cwd(), link))
+          .join(" -> ")}`
+      );
+    }
+
+    const target = getPointer(
+      getDocument(documentFile, ref, from),
+      pointer,
+      ref,
+      from
+    );
+    resolved[key] = walk(target, documentFile, chain.concat(key));
+    return resolved[key];
+  }
+
+  function walk(value, from, chain) {
+    if (Array.isArray(value)) {
+      return value.map((item) => walk(item, from, chain));
+    }
+    if (value === null || typeof value !== "object") {
+      return value;
+    }
+    if (
+      typeof value.$ref === "string" &&
+      externalDocuments.indexOf(value.$ref.split("#")[0]) === -1
+    ) {
+      const { $ref, ...siblings } = value;
+      const target = resolveRef($ref, from, chain);
+      return Object.keys(siblings).length
+        ? { ...target, ...walk(siblings, from, chain) }
+        : target;
+    }
+    const result = {};
+    Object.keys(value).forEach((key) => {
+      result[key] = walk(value[key], from, chain);
+    });
+    return result;
+  }
+
+  return walk(spec, file, [`${file}#`]);
+}
+
+function getPointer(document, pointer, ref, from) {
+  if (pointer === "" || pointer === "/") {
+    return document;
+  }
+  return pointer
+    .split("/")
+    .slice(1)
+    .map((token) =>
+      decodeURIComponent(token).replace(/~1/g, "/").replace(/~0/g, "~")
+    )
+    .reduce((value, token) => {
+      if (
+        value === null ||
+        typeof value !== "object" ||
+        !value.hasOwnProperty(token)
+      ) {
+        throw new Error(`Cannot resolve $ref ${ref} in ${from}`);
+      }
+      return value[token];
+    }, document);
+}
+
+module.exports = {
+  loadSpec,
+  dereference,
+};
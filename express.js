@@ -0,0 +1,62 @@
+"use strict";
+
+const { parseQuery } = require("./router");
+const { createAdapter, toResource, getErrorContentType } = require("./adapter");
+
+function createExpressMiddleware(router, options = {}) {
+  if (typeof router !== "function" || typeof router.match !== "function") {
+    throw new Error("router must be a generated <oas>_router.js module");
+  }
+  const { formatError = (err) => err, passError = false } = options;
+  const { validate } = createAdapter(router, options);
+
+  return function validateRequestMiddleware(req, res, next) {
+    const basePath = req.baseUrl || "";
+    const resolved = router.resolve(req.method, {
+      resource: toResource(req.route && req.route.path, basePath),
+      path:
+        typeof req.path === "string"
+          ? basePath + req.path
+          : req.originalUrl || req.url,
+      params: req.params,
+    });
+    const validation = validate(
+      resolved,
+      {
+        headers: req.headers,
+        query: req.query || parseQuery(req.originalUrl || req.url || ""),
+        body: req.body,
+        cookies: req.cookies,
+        files: req.files,
+        file: req.file,
+      },
+      req.originalUrl || req.url
+    );
+    // asynchronous security handlers pass their errors to next()
+    if (typeof validation.then === "function") {
+      validation.then(respond, next);
+    } else {
+      respond(validation);
+    }
+
+    function respond({ err, value }) {
+      if (value) {
+        req.validatedRequest = value;
+      }
+      if (!err) {
+        return next();
+      }
+      if (passError) {
+        return next(err);
+      }
+      res.statusCode = err.status;
+      if (err.allow) {
+        res.setHeader("Allow", err.allow.join(", "));
+      }
+      res.setHeader("Content-Type", getErrorContentType(err));
+      res.end(JSON.stringify(formatError(err, req)));
+    }
+  };
+}
+
+module.exports = createExpressMiddleware;
@@ -0,0 +1,60 @@
+"use strict";
+
+const { createAdapter, toResource } = require("./adapter");
+const { isProblemDetails, PROBLEM_CONTENT_TYPE } = require("./problem");
+
+function fastifyRequestValidator(fastify, options, done) {
+  const { router, formatError = (err) => err } = options;
+  if (typeof router !== "function" || typeof router.resolve !== "function") {
+    return done(
+      new Error("options.router must be a generated <oas>_router.js module")
+    );
+  }
+  let validate;
+  try {
+    ({ validate } = createAdapter(router, options));
+  } catch (e) {
+    return done(e);
+  }
+
+  fastify.addHook("preValidation", async (request, reply) => {
+    const resolved = router.resolve(request.method, {
+      resource: toResource(request.routeOptions && request.routeOptions.url),
+      path: request.url,
+      params: request.params,
+    });
+    const { err, value } = await validate(
+      resolved,
+      {
+        headers: request.headers,
+        query: request.query,
+        body: request.body,
+        cookies: request.cookies,
+      },
+      request.url
+    );
+    if (value) {
+      request.validatedRequest = value;
+    }
+
+    if (err) {
+      if (isProblemDetails(err)) {
+        reply.type(PROBLEM_CONTENT_TYPE);
+      }
+      if (err.allow) {
+        reply.header("Allow", err.allow.join(", "));
+      }
+      reply.code(err.status).send(formatError(err, request));
+      return reply;
+    }
+  });
+
+  done();
+}
+
+// Register the hook on the parent instance, as fastify-plugin would.
+fastifyRequestValidator[Symbol.for("skip-override")] = true;
+fastifyRequestValidator[Symbol.for("fastify.display-name")] =
+  "openapi-request-validator";
+
+module.exports = fastifyRequestValidator;
@@ -1,45 +1,163 @@
 const fs = require("fs");
 const path = require("path");
-const yaml = require("js-yaml");
-const deref = require("json-schema-deref-sync");
 const serialize = require("serialize-javascript");
 const Ajv = require("ajv");
-const standaloneCode = require("ajv/dist/standalone").default;
+const Ajv2019 = require("ajv/dist/2019");
+const Ajv2020 = require("ajv/dist/2020");
+const { _ } = require("ajv");
 const addFormats = require("ajv-formats");
 const {
   convertParametersToJSONSchema,
 } = require("openapi-jsonschema-parameters");
 const contentTypeParser = require("./content-type");
-
+const convertSwagger2 = require("./swagger2");
+const { dereference, loadSpec } = require("./dereference");
+const { createOutput, hash } = require("./manifest");
+const createBundle = require("./bundle");
+const { getDeclarations, getBundleDeclarations } = require("./declarations");
+const { toProblemDetails, checkErrorFormat } = require("./problem");
+const { HTTP_METHODS, mergeParameters } = require("./path-item");
+
+const OPENAPI_31_DIALECT = "https://spec.openapis.org/oas/3.1/dialect/base";
+const JSON_SCHEMA_DIALECTS = {
+  [OPENAPI_31_DIALECT]: Ajv2020,
+  "https://json-schema.org/draft/2020-12/schema": Ajv2020,
+  "https://json-schema.org/draft/2019-09/schema": Ajv2019,
+  "http://json-schema.org/draft-07/schema": Ajv,
+};
 const LOCAL_DEFINITION_REGEX = /^#\/([^\/]+)\/([^\/]+)$/;
+const OUTPUT_FORMATS = ["cjs", "esm"];
+const SUB_VALIDATORS = [
+  "validateBody",
+  "validateFormData",
+  "validateHeaders",
+  "validatePath",
+  "validateQuery",
+  "validateCookies",
+];
+// options of the validators, for every operation or in options.operations
+const VALIDATOR_OPTIONS = [
+  "coerceTypes",
+  "validateSecurity",
+  "enableHeadersLowercase",
+  "additionalQueryProperties",
+  "customFormats",
+  "customKeywords",
+  "errorTransformer",
+  "externalSchemas",
+  "ajvOptions",
+  "loggingKey",
+  "skipValidation",
+  "maxBodyBytes",
+  "errorStatus",
+  "sanitize",
+  "removeAdditional",
+  "errorFormat",
+];
+// x- extensions of the spec, path items and operations, by their option.
+// x-validation: { skip } sets skipValidation.
+const EXTENSION_OPTIONS = {
+  "x-coerce": ["coerceTypes", "a boolean", isBoolean],
+  "x-additional-query-properties": [
+    "additionalQueryProperties",
+    "a boolean",
+    isBoolean,
+  ],
+  "x-lowercase-headers": ["enableHeadersLowercase", "a boolean", isBoolean],
+  "x-validate-security": ["validateSecurity", "a boolean", isBoolean],
+  "x-max-body-bytes": ["maxBodyBytes", "a non-negative integer", isByteCount],
+  "x-error-status": ["errorStatus", "an HTTP error status", isErrorStatus],
+};
+// options that are paths of modules, which the generated code requires
+const MODULE_OPTIONS = {
+  customFormats: "the formats",
+  customKeywords: "the keyword definitions",
+  errorTransformer: "the error transformer",
+};
+// helpers of the generated code that don't depend on the operation
+const HELPER_FUNCTIONS = [
+  toOpenapiValidationError,
+  extendedErrorMapper,
+  withErrorPointer,
+  getErrorPointer,
+  toProblemDetails,
+  getSchemaForMediaType,
+  withAddedLocation,
+  getHeaderValue,
+  getBodyBytes,
+  copyRequest,
+  copyValue,
+  parseCookies,
+  getFormBody,
+  parseJsonField,
+  getRequestFiles,
+  validateFiles,
+  matchesMediaType,
+  getResponseKey,
+  hasSecurityCredentials,
+  lowercaseRequestHeaders,
+  deserializeParameters,
+  deserializeParameter,
+  coerceDeserializedValue,
+  collectObjectParameter,
+  assignCoercedHeaders,
+  stripBodyInfo,
+];
 
 class OpenAPIRequestValidator {
   loggingKey = "";
   requestBodyValidators = {};
+  formMediaTypes = {};
+  responses = {};
   enableHeadersLowercase = true;
 
-  constructor(args, _dir, _fileName) {
+  // the validators are compiled into the _bundle of the spec, named after
+  // _fileName and their file key
+  constructor(args, _fileName, _bundle) {
     const loggingKey = args && args.loggingKey ? args.loggingKey + ": " : "";
     this.loggingKey = loggingKey;
     if (!args) {
       throw new Error(`${loggingKey}missing args argument`);
     }
 
+    // x- extensions of the operation apply unless args set their options
+    const extensionOptions = getExtensionOptions(args, loggingKey);
+    args = { ...args };
+    Object.keys(extensionOptions)
+      .filter((option) => args[option] === undefined)
+      .forEach((option) => {
+        args[option] = extensionOptions[option];
+      });
+
     if (args.hasOwnProperty("enableHeadersLowercase")) {
       this.enableHeadersLowercase = args.enableHeadersLowercase;
     }
 
+    checkErrorFormat(args.errorFormat, loggingKey);
     const errorTransformer =
       typeof args.errorTransformer === "function" && args.errorTransformer;
     const errorMapper = errorTransformer
       ? extendedErrorMapper(errorTransformer)
       : toOpenapiValidationError;
+    this.errorMapper =
+      args.errorFormat === "problem"
+        ? withErrorPointer(errorMapper)
+        : errorMapper;
+    this.sanitize = !!args.sanitize;
+    this.errorFormat = args.errorFormat;
+
+    // e.g. health checks, which are neither validated nor compiled
+    if (args.skipValidation) {
+      this.skipValidation = true;
+      return;
+    }
     let bodyValidationSchema;
     let bodySchema;
     let headersSchema;
     let formDataSchema;
     let pathSchema;
     let querySchema;
+    let cookiesSchema;
     let isBodyRequired;
 
     if (args.parameters !== undefined) {
@@ -56,6 +174,7 @@ class OpenAPIRequestValidator {
           schemas.query.additionalProperties = args.additionalQueryProperties;
         }
         querySchema = schemas.query;
+        cookiesSchema = schemas.cookie;
         isBodyRequired =
           // @ts-ignore
           args.parameters.filter(byRequiredBodyParameters).length > 0;
@@ -64,69 +183,32 @@ class OpenAPIRequestValidator {
       }
     }
 
-    const v = new Ajv({
-      useDefaults: true,
-      allErrors: true,
-      strict: false,
-      logger: false,
-      ...(args.ajvOptions || {}),
-      code: { source: true },
-    });
-    addFormats(v);
-
-    v.removeKeyword("readOnly");
-    v.addKeyword({
-      keyword: "readOnly",
-      modifying: true,
-      compile: (sch) => {
-        if (sch) {
-          return function validate(data, dataCtx) {
-            validate.errors = [
-              {
-                keyword: "readOnly",
-                instancePath: dataCtx.instancePath,
-                message: "is read-only",
-                params: { readOnly: dataCtx.parentDataProperty },
-              },
-            ];
-            return !(sch === true && data !== null);
-          };
-        }
-        return () => true;
-      },
-    });
-
     if (args.requestBody) {
       isBodyRequired = args.requestBody.required || false;
     }
 
-    if (args.customFormats) {
-      let hasNonFunctionProperty;
-      Object.keys(args.customFormats).forEach((format) => {
-        const func = args.customFormats[format];
-        if (typeof func === "function") {
-          v.addFormat(format, func);
-        } else {
-          hasNonFunctionProperty = true;
-        }
-      });
-      if (hasNonFunctionProperty) {
-        throw new Error(
-          `${loggingKey}args.customFormats properties must be functions`
-        );
-      }
-    }
-
-    if (args.customKeywords) {
-      for (const [keywordName, keywordDefinition] of Object.entries(
-        args.customKeywords
-      )) {
-        v.addKeyword({
-          keyword: keywordName,
-          ...keywordDefinition,
-        });
-      }
-    }
+    // nullable is an OpenAPI 3.0 keyword, 3.1 schemas are plain JSON Schema
+    const transformSchema = args.jsonSchemaDialect
+      ? cloneSchema
+      : transformOpenAPIV3Definitions;
+    const createAjv = (ajvOptions = {}, forbiddenKeyword = "readOnly") =>
+      _bundle.getAjv(args, ajvOptions, forbiddenKeyword, (options) =>
+        this.createAjv(args, options, forbiddenKeyword)
+      );
+    const writeValidator = (ajv, schema, fileKey) => {
+      _bundle.addValidator(ajv, schema, `${_fileName}_${fileKey}`);
+    };
+    // sanitizing validators may remove unknown properties of their copy
+    const requestAjvOptions =
+      args.sanitize && args.removeAdditional
+        ? { removeAdditional: args.removeAdditional }
+        : {};
+    const v = createAjv(requestAjvOptions);
+    // Parameters arrive as strings, so they are optionally validated by an
+    // instance that coerces them to the types of their schemas.
+    const parametersAjv = args.coerceTypes
+      ? createAjv({ ...requestAjvOptions, coerceTypes: "array" })
+      : v;
 
     if (bodySchema) {
       bodyValidationSchema = {
@@ -135,17 +217,7 @@ class OpenAPIRequestValidator {
         },
       };
     }
-    if (args.componentSchemas) {
-      // openapi v3:
-      Object.keys(args.componentSchemas).forEach((id) => {
-        v.addSchema(args.componentSchemas[id], `#/components/schemas/${id}`);
-        this.addSchemaProperties(
-          v,
-          args.componentSchemas[id],
-          `#/components/schemas/${id}`
-        );
-      });
-    } else if (args.schemas) {
+    if (!args.componentSchemas && args.schemas) {
       if (Array.isArray(args.schemas)) {
         args.schemas.forEach((schema) => {
           const id = schema.id;
@@ -176,100 +248,282 @@ class OpenAPIRequestValidator {
       }
     }
 
-    if (args.externalSchemas) {
-      Object.keys(args.externalSchemas).forEach((id) => {
-        v.addSchema(args.externalSchemas[id], id);
-      });
-    }
-
     if (args.requestBody) {
+      let formAjv;
       /* tslint:disable-next-line:forin */
       for (const mediaTypeKey in args.requestBody.content) {
-        const bodyContentSchema = args.requestBody.content[mediaTypeKey].schema;
+        const mediaType = args.requestBody.content[mediaTypeKey];
+        // media types without a schema accept any body
+        const bodyContentSchema = mediaType.schema || {};
         const copied = JSON.parse(JSON.stringify(bodyContentSchema));
-        const resolvedSchema = resolveAndSanitizeRequestBodySchema(copied, v);
-        const code = standaloneCode(
-          v,
-          v.compile(
-            transformOpenAPIV3Definitions({
+        let resolvedSchema = resolveAndSanitizeRequestBodySchema(copied, v);
+        let bodyAjv = v;
+        if (isFormMediaType(mediaTypeKey)) {
+          const form = getFormDescriptor(
+            mediaTypeKey,
+            resolvedSchema,
+            mediaType.encoding || {}
+          );
+          this.formMediaTypes[mediaTypeKey] = form;
+          // file parts are checked separately, form fields arrive as strings
+          resolvedSchema = withoutFileProperties(resolvedSchema, form.files);
+          formAjv =
+            formAjv ||
+            createAjv({ ...requestAjvOptions, coerceTypes: "array" });
+          bodyAjv = formAjv;
+        }
+        writeValidator(
+          bodyAjv,
+          transformSchema({
+            properties: {
+              body: resolvedSchema,
+            },
+            definitions: args.schemas || {},
+            components: { schemas: args.schemas },
+          }),
+          `requestBodyValidators_${getMediaTypeFileKey(mediaTypeKey)}`
+        );
+      }
+    }
+
+    if (args.responses) {
+      const responseAjv = createAjv({}, "writeOnly");
+      // response headers are strings, like request parameters
+      const responseHeadersAjv = createAjv(
+        { coerceTypes: "array" },
+        "writeOnly"
+      );
+      for (const statusCode of Object.keys(args.responses)) {
+        const response = args.responses[statusCode];
+        const responseSpec = { content: {}, hasHeaders: false };
+
+        /* tslint:disable-next-line:forin */
+        for (const mediaTypeKey in response.content || {}) {
+          const responseContentSchema =
+            response.content[mediaTypeKey].schema || {};
+          const copied = JSON.parse(JSON.stringify(responseContentSchema));
+          const resolvedSchema = resolveAndSanitizeRequestBodySchema(
+            copied,
+            responseAjv,
+            "writeOnly"
+          );
+          writeValidator(
+            responseAjv,
+            transformSchema({
               properties: {
                 body: resolvedSchema,
               },
               definitions: args.schemas || {},
               components: { schemas: args.schemas },
-            })
-          )
+            }),
+            `responseValidators_${statusCode}_${getMediaTypeFileKey(
+              mediaTypeKey
+            )}`
+          );
+          responseSpec.content[mediaTypeKey] = {};
+        }
+
+        const responseHeadersSchema = getResponseHeadersSchema(
+          response.headers
         );
-        const fileKey = `requestBodyValidators_${mediaTypeKey.replace(
-          /\//g,
-          ""
-        )}`;
-        const file = path.join(_dir, `${_fileName}_${fileKey}.js`);
-        fs.writeFileSync(file, code, "utf-8");
+        if (responseHeadersSchema) {
+          writeValidator(
+            responseHeadersAjv,
+            transformSchema(responseHeadersSchema),
+            `responseHeaders_${statusCode}`
+          );
+          responseSpec.hasHeaders = true;
+        }
+
+        this.responses[statusCode] = responseSpec;
       }
     }
 
     this.bodySchema = bodySchema;
-    this.errorMapper = errorMapper;
     this.isBodyRequired = isBodyRequired;
     this.requestBody = args.requestBody;
+    this.coerceTypes = !!args.coerceTypes;
+    this.maxBodyBytes = args.maxBodyBytes;
+    this.errorStatus = args.errorStatus;
+    if (args.validateSecurity && args.security && args.security.length) {
+      this.security = args.security;
+      this.securitySchemes = getSecuritySchemes(
+        args.security,
+        args.securitySchemes || {}
+      );
+    }
+    this.parameterStyles = {
+      headers: getParameterStyles(
+        args.parameters,
+        "header",
+        this.enableHeadersLowercase
+      ),
+      path: getParameterStyles(args.parameters, "path"),
+      query: getParameterStyles(args.parameters, "query"),
+      cookies: getParameterStyles(args.parameters, "cookie"),
+    };
 
     // this.validateBody =
     if (bodyValidationSchema) {
-      const code = standaloneCode(
-        v,
-        v.compile(transformOpenAPIV3Definitions(bodyValidationSchema))
-      );
-      const fileKey = `validateBody`;
-      const file = path.join(_dir, `${_fileName}_${fileKey}.js`);
-      fs.writeFileSync(file, code, "utf-8");
+      writeValidator(v, transformSchema(bodyValidationSchema), "validateBody");
     }
 
     // this.validateFormData =
     if (formDataSchema) {
-      const code = standaloneCode(
-        v,
-        v.compile(transformOpenAPIV3Definitions(formDataSchema))
-      );
-      const fileKey = `validateFormData`;
-      const file = path.join(_dir, `${_fileName}_${fileKey}.js`);
-      fs.writeFileSync(file, code, "utf-8");
+      writeValidator(v, transformSchema(formDataSchema), "validateFormData");
     }
 
     // this.validateHeaders =
     if (headersSchema) {
-      const code = standaloneCode(
-        v,
-        v.compile(transformOpenAPIV3Definitions(headersSchema))
+      writeValidator(
+        parametersAjv,
+        transformSchema(headersSchema),
+        "validateHeaders"
       );
-      const fileKey = `validateHeaders`;
-      const file = path.join(_dir, `${_fileName}_${fileKey}.js`);
-      fs.writeFileSync(file, code, "utf-8");
     }
 
     // this.validatePath =
     if (pathSchema) {
-      const code = standaloneCode(
-        v,
-        v.compile(transformOpenAPIV3Definitions(pathSchema))
+      writeValidator(
+        parametersAjv,
+        transformSchema(pathSchema),
+        "validatePath"
       );
-      const fileKey = `validatePath`;
-      const file = path.join(_dir, `${_fileName}_${fileKey}.js`);
-      fs.writeFileSync(file, code, "utf-8");
     }
 
     //this.validateQuery =
     if (querySchema) {
-      const code = standaloneCode(
-        v,
-        v.compile(transformOpenAPIV3Definitions(querySchema))
+      writeValidator(
+        parametersAjv,
+        transformSchema(querySchema),
+        "validateQuery"
+      );
+    }
+
+    // this.validateCookies =
+    if (cookiesSchema) {
+      writeValidator(
+        parametersAjv,
+        transformSchema(cookiesSchema),
+        "validateCookies"
       );
-      const fileKey = `validateQuery`;
-      const file = path.join(_dir, `${_fileName}_${fileKey}.js`);
-      fs.writeFileSync(file, code, "utf-8");
     }
   }
 
+  createAjv(args, ajvOptions = {}, forbiddenKeyword = "readOnly") {
+    const AjvClass = getAjvClass(args.jsonSchemaDialect, this.loggingKey);
+    const v = new AjvClass({
+      useDefaults: true,
+      allErrors: true,
+      strict: false,
+      logger: false,
+      ...(args.ajvOptions || {}),
+      ...ajvOptions,
+      code: {
+        source: true,
+        esm: !!args.esm,
+        // the generated code requires the custom formats next to ajv-formats
+        formats: args.customFormatsModule
+          ? _`Object.assign({}, require("ajv-formats/dist/formats").fullFormats, require(${args.customFormatsModule}))`
+          : undefined,
+      },
+    });
+    addFormats(v);
+
+    // readOnly properties must not be sent in requests, writeOnly ones in responses
+    const message =
+      forbiddenKeyword === "readOnly" ? "is read-only" : "is write-only";
+    v.removeKeyword(forbiddenKeyword);
+    v.addKeyword({
+      keyword: forbiddenKeyword,
+      schemaType: "boolean",
+      error: {
+        message,
+        params: ({ it }) => _`{${forbiddenKeyword}: ${it.parentDataProperty}}`,
+      },
+      // generated code, so that it survives standalone compilation
+      code: (cxt) => {
+        if (cxt.schema !== true) {
+          return;
+        }
+        // sanitizing validators drop read-only values of requests instead
+        if (
+          args.sanitize &&
+          forbiddenKeyword === "readOnly" &&
+          cxt.it.dataLevel > 0
+        ) {
+          cxt.gen.code(
+            _`delete ${cxt.it.parentData}[${cxt.it.parentDataProperty}]`
+          );
+        } else {
+          cxt.fail(_`${cxt.data} !== null`);
+        }
+      },
+    });
+
+    if (args.customFormats) {
+      let hasNonFunctionProperty;
+      Object.keys(args.customFormats).forEach((format) => {
+        const func = args.customFormats[format];
+        if (typeof func === "function") {
+          v.addFormat(format, func);
+        } else {
+          hasNonFunctionProperty = true;
+        }
+      });
+      if (hasNonFunctionProperty) {
+        throw new Error(
+          `${this.loggingKey}args.customFormats properties must be functions`
+        );
+      }
+    }
+
+    if (args.customKeywords) {
+      for (const [keywordName, keywordDefinition] of Object.entries(
+        args.customKeywords
+      )) {
+        // standalone code can't call the functions of validate and compile
+        if (
+          args.customKeywordsModule &&
+          (keywordDefinition.validate || keywordDefinition.compile)
+        ) {
+          throw new Error(
+            `${this.loggingKey}custom keyword ${keywordName} must be defined with code or macro to be generated`
+          );
+        }
+        v.addKeyword({
+          keyword: keywordName,
+          ...keywordDefinition,
+        });
+      }
+    }
+
+    // schemas that $refs of the spec, or of external schemas, can point to.
+    // Component schemas are validated where the operations inline them.
+    if (args.componentSchemas) {
+      Object.keys(args.componentSchemas).forEach((id) => {
+        v.addSchema(
+          args.componentSchemas[id],
+          `#/components/schemas/${id}`,
+          undefined,
+          false
+        );
+        this.addSchemaProperties(
+          v,
+          args.componentSchemas[id],
+          `#/components/schemas/${id}`
+        );
+      });
+    }
+    if (args.externalSchemas) {
+      Object.keys(args.externalSchemas).forEach((id) => {
+        v.addSchema(args.externalSchemas[id], id);
+      });
+    }
+
+    return v;
+  }
+
   addSchemaProperties(v, schema, prefix) {
     for (const attr in schema) {
       if (schema.hasOwnProperty(attr)) {
@@ -292,7 +546,15 @@ class OpenAPIRequestValidator {
             for (const propertyId in schema[attr]) {
               if (schema[attr].hasOwnProperty(propertyId)) {
                 const schemaId = `${prefix}/${attr}/${propertyId}`;
-                v.addSchema(schema[attr][propertyId], schemaId);
+                // subschemas with an $id are registered by it with their parent
+                if (!(schema[attr][propertyId] || {}).$id) {
+                  v.addSchema(
+                    schema[attr][propertyId],
+                    schemaId,
+                    undefined,
+                    false
+                  );
+                }
                 this.addSchemaProperties(v, schema[attr][propertyId], schemaId);
               }
             }
@@ -303,12 +565,67 @@ class OpenAPIRequestValidator {
   }
 }
 
-function validateRequest(request) {
+// Sanitizing validators validate a copy of the request, which is returned as
+// the value of valid requests. Errors are problem details with the problem
+// errorFormat, whose instance is the url of the request. The result is a
+// promise when a security handler returns one.
+function validateRequest(request, options) {
+  let value = request;
+  if (_validator.sanitize) {
+    value = copyRequest(request);
+    if (_validator.validateCookies && !value.cookies) {
+      value.cookies = parseCookies(getHeaderValue(value.headers, "cookie"));
+    }
+  }
+  const toResult = (err) => {
+    if (err) {
+      return _validator.errorFormat === "problem"
+        ? toProblemDetails(err, request.url)
+        : err;
+    }
+    return _validator.sanitize ? { errors: undefined, value } : undefined;
+  };
+
+  const securityError =
+    _validator.security &&
+    !_validator.skipValidation &&
+    validateSecurity(value, (options || {}).securityHandlers);
+  if (securityError && typeof securityError.then === "function") {
+    return securityError.then((err) =>
+      toResult(err || checkRequest(value, options))
+    );
+  }
+  return toResult(securityError || checkRequest(value, options));
+}
+
+function checkRequest(request, options) {
   const errors = [];
   let err;
   let schemaError;
   let mediaTypeError;
 
+  if (_validator.skipValidation) {
+    return;
+  }
+  // the router and the adapters pass the string parameters of urls, which are
+  // converted to the types of their schemas like coerceTypes would
+  const coerceParameters = !!(options && options.coerceParameters);
+
+  if (
+    _validator.maxBodyBytes !== undefined &&
+    getBodyBytes(request) > _validator.maxBodyBytes
+  ) {
+    return {
+      status: 413,
+      errors: [
+        {
+          message: `Request body is larger than ${_validator.maxBodyBytes} bytes`,
+          location: "body",
+        },
+      ],
+    };
+  }
+
   if (_validator.bodySchema) {
     if (request.body) {
       if (!_validator.validateBody({ body: request.body })) {
@@ -350,14 +667,22 @@ function validateRequest(request) {
       }
     } else {
       const bodySchema = _validator.requestBody.content[mediaTypeMatch].schema;
-      if (request.body) {
+      const form = _validator.formMediaTypes[mediaTypeMatch];
+      const body = form ? getFormBody(request, form) : request.body;
+      if (body) {
         const validateBody = _validator.requestBodyValidators[mediaTypeMatch];
-        if (!validateBody({ body: request.body })) {
+        if (!validateBody({ body })) {
           errors.push.apply(
             errors,
             withAddedLocation("body", validateBody.errors)
           );
         }
+        if (form) {
+          errors.push.apply(
+            errors,
+            withAddedLocation("body", validateFiles(request, body, form))
+          );
+        }
       } else if (_validator.isBodyRequired) {
         schemaError = {
           location: "body",
@@ -379,47 +704,97 @@ function validateRequest(request) {
   }
 
   if (_validator.validatePath) {
-    if (!_validator.validatePath(request.params || {})) {
+    const params = request.params || {};
+    deserializeParameters(
+      params,
+      _validator.parameterStyles.path,
+      _validator.coerceTypes,
+      coerceParameters
+    );
+    if (!_validator.validatePath(params)) {
       errors.push.apply(
         errors,
         withAddedLocation("path", _validator.validatePath.errors)
       );
     }
+    // the copies of sanitizing validators get the defaults of missing members
+    if (_validator.sanitize) {
+      request.params = params;
+    }
   }
 
   if (_validator.validateHeaders) {
-    if (
-      !_validator.validateHeaders(
-        lowercaseRequestHeaders(
-          request.headers || {},
-          _validator.enableHeadersLowercase
-        )
-      )
-    ) {
+    const headers = lowercaseRequestHeaders(
+      request.headers || {},
+      _validator.enableHeadersLowercase
+    );
+    deserializeParameters(
+      headers,
+      _validator.parameterStyles.headers,
+      _validator.coerceTypes,
+      coerceParameters
+    );
+    if (!_validator.validateHeaders(headers)) {
       errors.push.apply(
         errors,
         withAddedLocation("headers", _validator.validateHeaders.errors)
       );
     }
+    if (_validator.sanitize && !request.headers) {
+      request.headers = headers;
+    } else if (
+      (_validator.coerceTypes || _validator.sanitize) &&
+      request.headers
+    ) {
+      assignCoercedHeaders(request.headers, headers);
+    }
   }
 
   if (_validator.validateQuery) {
-    if (!_validator.validateQuery(request.query || {})) {
+    const query = request.query || {};
+    deserializeParameters(
+      query,
+      _validator.parameterStyles.query,
+      _validator.coerceTypes,
+      coerceParameters
+    );
+    if (!_validator.validateQuery(query)) {
       errors.push.apply(
         errors,
         withAddedLocation("query", _validator.validateQuery.errors)
       );
     }
+    if (_validator.sanitize) {
+      request.query = query;
+    }
+  }
+
+  if (_validator.validateCookies) {
+    const cookies =
+      request.cookies ||
+      parseCookies(getHeaderValue(request.headers, "cookie"));
+    deserializeParameters(
+      cookies,
+      _validator.parameterStyles.cookies,
+      _validator.coerceTypes,
+      coerceParameters
+    );
+    if (!_validator.validateCookies(cookies)) {
+      errors.push.apply(
+        errors,
+        withAddedLocation("cookies", _validator.validateCookies.errors)
+      );
+    }
   }
 
   if (errors.length) {
     err = {
-      status: 400,
-      errors: errors.map(_validator.errorMapper),
+      status: _validator.errorStatus || 400,
+      errors: errors.map((error) => _validator.errorMapper(error)),
     };
   } else if (schemaError) {
     err = {
-      status: 400,
+      status: _validator.errorStatus || 400,
       errors: [schemaError],
     };
   } else if (mediaTypeError) {
@@ -432,72 +807,684 @@ function validateRequest(request) {
   return err;
 }
 
-function byRequiredBodyParameters(param) {
-  return (param.in === "body" || param.in === "formData") && param.required;
-}
-
-function extendedErrorMapper(mapper) {
-  return (ajvError) => mapper(toOpenapiValidationError(ajvError), ajvError);
-}
-
-function getSchemaForMediaType(contentTypeHeader, requestBodySpec, loggingKey) {
-  if (!contentTypeHeader) {
+function validateResponse(response) {
+  const errors = [];
+  if (_validator.skipValidation) {
     return;
   }
-  let contentType;
-  try {
-    contentType = contentTypeParser.parse(contentTypeHeader).type;
-  } catch (e) {
-    if (e instanceof TypeError && e.message === "invalid media type") {
-      return;
+  const status = String(response.status || response.statusCode);
+  const responseKey = getResponseKey(status, _validator.responses);
+  if (!responseKey) {
+    return {
+      status: 500,
+      errors: [{ message: `No response is defined for status ${status}` }],
+    };
+  }
+  const responseSpec = _validator.responses[responseKey];
+  const validators = _validator.responseValidators[responseKey];
+  let mediaTypeError;
+
+  if (validators.headers) {
+    const headers = lowercaseRequestHeaders(response.headers || {}, true);
+    if (!validators.headers(headers)) {
+      errors.push.apply(
+        errors,
+        withAddedLocation("headers", validators.headers.errors)
+      );
     }
-    throw e;
   }
-  const content = requestBodySpec.content;
-  const subTypeWildCardPoints = 2;
-  const wildcardMatchPoints = 1;
-  let match;
-  let matchPoints = 0;
-  for (const mediaTypeKey in content) {
-    if (content.hasOwnProperty(mediaTypeKey)) {
-      if (mediaTypeKey.indexOf(contentType) > -1) {
-        return mediaTypeKey;
-      } else if (mediaTypeKey === "*/*" && wildcardMatchPoints > matchPoints) {
-        match = mediaTypeKey;
-        matchPoints = wildcardMatchPoints;
-      }
-      const contentTypeParts = contentType.split("/");
-      const mediaTypeKeyParts = mediaTypeKey.split("/");
-      if (mediaTypeKeyParts[1] !== "*") {
-        continue;
-      } else if (
-        contentTypeParts[0] === mediaTypeKeyParts[0] &&
-        subTypeWildCardPoints > matchPoints
-      ) {
-        match = mediaTypeKey;
-        matchPoints = subTypeWildCardPoints;
+
+  const mediaTypes = Object.keys(responseSpec.content);
+  if (mediaTypes.length) {
+    const contentType = getHeaderValue(response.headers, "content-type");
+    const mediaTypeMatch = contentType
+      ? getSchemaForMediaType(contentType, responseSpec, _validator.loggingKey)
+      : mediaTypes.length === 1 && mediaTypes[0];
+    if (mediaTypeMatch) {
+      const validateBody = validators.content[mediaTypeMatch];
+      if (!validateBody({ body: response.body })) {
+        errors.push.apply(
+          errors,
+          withAddedLocation("body", validateBody.errors)
+        );
       }
+    } else if (response.body !== undefined) {
+      mediaTypeError = {
+        message: contentType
+          ? `Unsupported Content-Type ${contentType}`
+          : "Content-Type is not specified",
+      };
     }
   }
-  return match;
-}
-
-function lowercaseRequestHeaders(headers, enableHeadersLowercase) {
-  if (enableHeadersLowercase) {
-    const lowerCasedHeaders = {};
 
-    Object.keys(headers).forEach((header) => {
-      lowerCasedHeaders[header.toLowerCase()] = headers[header];
-    });
+  if (errors.length) {
+    return {
+      status: 500,
+      errors: errors.map((error) =>
+        _validator.errorMapper(error, "responseValidation")
+      ),
+    };
+  } else if (mediaTypeError) {
+    return {
+      status: 500,
+      errors: [mediaTypeError],
+    };
+  }
+}
 
-    return lowerCasedHeaders;
-  } else {
-    return headers;
+function getResponseKey(status, responses) {
+  if (responses.hasOwnProperty(status)) {
+    return status;
+  }
+  const range = Object.keys(responses).find(
+    (key) => key.toUpperCase() === `${status.charAt(0)}XX`
+  );
+  if (range) {
+    return range;
+  }
+  if (responses.hasOwnProperty("default")) {
+    return "default";
   }
 }
 
-function lowercasedHeaders(headersSchema, enableHeadersLowercase) {
-  if (headersSchema && enableHeadersLowercase) {
+// Returns a promise of the error when a security handler returns a promise
+function validateSecurity(request, securityHandlers) {
+  const requirements = _validator.security;
+  const failures = {};
+  let hasCredentials = false;
+
+  const isAccepted = (name, accepted) => {
+    if (typeof accepted !== "boolean") {
+      throw new Error(
+        `${_validator.loggingKey}securityHandlers.${name} must return or resolve to a boolean`
+      );
+    }
+    if (!accepted) {
+      failures[name] = "rejected";
+    }
+    return accepted;
+  };
+
+  // the first requirement whose credentials are all accepted wins
+  const checkRequirements = (index) => {
+    for (let i = index; i < requirements.length; i++) {
+      const requirement = requirements[i];
+      const schemeNames = Object.keys(requirement);
+      const missing = schemeNames.filter(
+        (name) =>
+          !hasSecurityCredentials(request, _validator.securitySchemes[name])
+      );
+      if (missing.length) {
+        missing.forEach((name) => {
+          failures[name] = failures[name] || "missing";
+        });
+        continue;
+      }
+      hasCredentials = true;
+      const names = schemeNames.filter(
+        (name) =>
+          securityHandlers && typeof securityHandlers[name] === "function"
+      );
+      const results = names.map((name) =>
+        securityHandlers[name](
+          request,
+          requirement[name],
+          _validator.securitySchemes[name]
+        )
+      );
+      if (
+        results.some((result) => result && typeof result.then === "function")
+      ) {
+        return Promise.all(results).then((accepted) =>
+          names.filter((name, j) => !isAccepted(name, accepted[j])).length
+            ? checkRequirements(i + 1)
+            : undefined
+        );
+      }
+      if (!names.filter((name, j) => !isAccepted(name, results[j])).length) {
+        return;
+      }
+    }
+
+    // credentials that are present but rejected are a 403, missing ones a 401
+    return {
+      status: hasCredentials ? 403 : 401,
+      errors: Object.keys(failures).map((name) => ({
+        location: "security",
+        scheme: name,
+        message:
+          failures[name] === "missing"
+            ? `Missing credentials for security scheme ${name}`
+            : `Credentials for security scheme ${name} were rejected`,
+      })),
+    };
+  };
+
+  return checkRequirements(0);
+}
+
+function hasSecurityCredentials(request, scheme) {
+  if (!scheme) {
+    return false;
+  }
+  const authorization = getHeaderValue(request.headers, "authorization") || "";
+  switch (scheme.type) {
+    case "apiKey":
+      if (scheme.in === "header") {
+        return !!getHeaderValue(request.headers, scheme.name);
+      } else if (scheme.in === "query") {
+        return !!(request.query || {})[scheme.name];
+      } else if (scheme.in === "cookie") {
+        const cookies =
+          request.cookies ||
+          parseCookies(getHeaderValue(request.headers, "cookie"));
+        return !!cookies[scheme.name];
+      }
+      return false;
+    case "http":
+      return new RegExp(`^${scheme.scheme}\\s+\\S`, "i").test(authorization);
+    case "oauth2":
+    case "openIdConnect":
+      return /^bearer\s+\S/i.test(authorization);
+    default:
+      // e.g. mutualTLS, which is established before the request is seen
+      return true;
+  }
+}
+
+function byRequiredBodyParameters(param) {
+  return (param.in === "body" || param.in === "formData") && param.required;
+}
+
+function extendedErrorMapper(mapper) {
+  return (ajvError, validation) =>
+    mapper(toOpenapiValidationError(ajvError, validation), ajvError);
+}
+
+function withErrorPointer(mapper) {
+  return (ajvError, validation) => ({
+    ...mapper(ajvError, validation),
+    pointer: getErrorPointer(ajvError),
+  });
+}
+
+// the JSON pointer to the value of the request that an error is about
+function getErrorPointer(error) {
+  const member =
+    { path: "params", formData: "body" }[error.location] || error.location;
+  // body validators validate { body }
+  let pointer =
+    error.location === "body"
+      ? error.instancePath
+      : `/${member}${error.instancePath}`;
+  const params = error.params || {};
+  const property =
+    params.missingProperty !== undefined
+      ? params.missingProperty
+      : params.additionalProperty;
+  if (property !== undefined) {
+    pointer += "/" + String(property).replace(/~/g, "~0").replace(/\//g, "~1");
+  }
+  return pointer;
+}
+
+function getSchemaForMediaType(contentTypeHeader, requestBodySpec, loggingKey) {
+  if (!contentTypeHeader) {
+    return;
+  }
+  let contentType;
+  try {
+    contentType = contentTypeParser.parse(contentTypeHeader).type;
+  } catch (e) {
+    if (e instanceof TypeError && e.message === "invalid media type") {
+      return;
+    }
+    throw e;
+  }
+  const content = requestBodySpec.content;
+  const [type, subtype] = contentType.split("/");
+  const suffixIndex = subtype.lastIndexOf("+");
+  const suffix = suffixIndex > -1 ? subtype.slice(suffixIndex + 1) : undefined;
+  const suffixWildcardPoints = 4;
+  const subTypeWildCardPoints = 3;
+  const suffixMatchPoints = 2;
+  const wildcardMatchPoints = 1;
+  let match;
+  let matchPoints = 0;
+  for (const mediaTypeKey in content) {
+    if (content.hasOwnProperty(mediaTypeKey)) {
+      const [keyType, keySubtype] = mediaTypeKey
+        .split(";")[0]
+        .trim()
+        .toLowerCase()
+        .split("/");
+      let points = 0;
+      if (keyType === type && keySubtype === subtype) {
+        return mediaTypeKey;
+      } else if (keyType === "*" && keySubtype === "*") {
+        points = wildcardMatchPoints;
+      } else if (keyType !== type) {
+        continue;
+      } else if (suffix && keySubtype === `*+${suffix}`) {
+        points = suffixWildcardPoints;
+      } else if (keySubtype === "*") {
+        points = subTypeWildCardPoints;
+      } else if (suffix && keySubtype === suffix) {
+        // e.g. application/merge-patch+json is validated as application/json
+        points = suffixMatchPoints;
+      }
+      if (points > matchPoints) {
+        match = mediaTypeKey;
+        matchPoints = points;
+      }
+    }
+  }
+  return match;
+}
+
+function getFormBody(request, form) {
+  const hasFiles = !!(request.file || request.files);
+  const body = request.body || (hasFiles ? {} : undefined);
+  if (body && typeof body === "object") {
+    deserializeParameters(body, form.fields, false);
+    form.jsonFields.forEach((name) => {
+      if (body[name] !== undefined) {
+        body[name] = parseJsonField(body[name]);
+      }
+    });
+  }
+  return body;
+}
+
+function parseJsonField(value) {
+  if (Array.isArray(value)) {
+    return value.map(parseJsonField);
+  }
+  if (typeof value !== "string") {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    // left to the schema to report
+    return value;
+  }
+}
+
+function getRequestFiles(request) {
+  const files = {};
+  const addFile = (name, file) => {
+    files[name] = (files[name] || []).concat(file);
+  };
+  if (request.file) {
+    addFile(request.file.fieldname, request.file);
+  }
+  if (Array.isArray(request.files)) {
+    request.files.forEach((file) => addFile(file.fieldname, file));
+  } else if (request.files && typeof request.files === "object") {
+    Object.keys(request.files).forEach((name) => {
+      addFile(name, request.files[name]);
+    });
+  }
+  return files;
+}
+
+function validateFiles(request, body, form) {
+  const errors = [];
+  const files = getRequestFiles(request);
+
+  form.files.forEach((descriptor) => {
+    const name = descriptor.name;
+    const fieldFiles = files[name] || [];
+
+    if (!fieldFiles.length) {
+      if (descriptor.required && body[name] === undefined) {
+        errors.push({
+          keyword: "required",
+          instancePath: "/body",
+          params: { missingProperty: name },
+          message: `must have required property '${name}'`,
+        });
+      }
+      return;
+    }
+
+    if (
+      descriptor.maxItems !== undefined &&
+      fieldFiles.length > descriptor.maxItems
+    ) {
+      errors.push({
+        keyword: "maxItems",
+        instancePath: `/body/${name}`,
+        params: { limit: descriptor.maxItems },
+        message: `must NOT have more than ${descriptor.maxItems} file${
+          descriptor.maxItems === 1 ? "" : "s"
+        }`,
+      });
+    }
+
+    fieldFiles.forEach((file, i) => {
+      const instancePath = descriptor.multiple
+        ? `/body/${name}/${i}`
+        : `/body/${name}`;
+      const contentType =
+        file.mimetype || file.mimeType || file.contentType || file.type;
+      const size =
+        typeof file.size === "number"
+          ? file.size
+          : (file.buffer || file.data || "").length;
+
+      if (
+        descriptor.contentTypes &&
+        !descriptor.contentTypes.some((allowed) =>
+          matchesMediaType(contentType, allowed)
+        )
+      ) {
+        errors.push({
+          keyword: "contentType",
+          instancePath,
+          params: { allowedValues: descriptor.contentTypes },
+          message: `must be one of ${descriptor.contentTypes.join(", ")}`,
+        });
+      }
+      if (descriptor.maxSize !== undefined && size > descriptor.maxSize) {
+        errors.push({
+          keyword: "maxSize",
+          instancePath,
+          params: { limit: descriptor.maxSize },
+          message: `must NOT be larger than ${descriptor.maxSize} bytes`,
+        });
+      }
+      if (descriptor.minSize !== undefined && size < descriptor.minSize) {
+        errors.push({
+          keyword: "minSize",
+          instancePath,
+          params: { limit: descriptor.minSize },
+          message: `must NOT be smaller than ${descriptor.minSize} bytes`,
+        });
+      }
+    });
+  });
+
+  return errors;
+}
+
+function matchesMediaType(contentType, allowed) {
+  if (allowed === "*/*") {
+    return true;
+  }
+  if (typeof contentType !== "string") {
+    return false;
+  }
+  const [type, subtype] = contentType
+    .split(";")[0]
+    .trim()
+    .toLowerCase()
+    .split("/");
+  const [allowedType, allowedSubtype] = allowed.toLowerCase().split("/");
+  return (
+    type === allowedType &&
+    (allowedSubtype === "*" || subtype === allowedSubtype)
+  );
+}
+
+function lowercaseRequestHeaders(headers, enableHeadersLowercase) {
+  if (enableHeadersLowercase) {
+    const lowerCasedHeaders = {};
+
+    Object.keys(headers).forEach((header) => {
+      lowerCasedHeaders[header.toLowerCase()] = headers[header];
+    });
+
+    return lowerCasedHeaders;
+  } else {
+    return headers;
+  }
+}
+
+function deserializeParameters(
+  values,
+  parameterStyles,
+  coerceTypes,
+  coerceParameters
+) {
+  parameterStyles.forEach((parameter) => {
+    const { name, style, explode, type, itemTypes } = parameter;
+    if (
+      type === "object" &&
+      (style === "deepObject" || (style === "form" && explode))
+    ) {
+      collectObjectParameter(values, parameter);
+    } else if (typeof values[name] === "string") {
+      values[name] = deserializeParameter(
+        values[name],
+        parameter,
+        coerceTypes,
+        coerceParameters
+      );
+      return;
+    }
+    // without coerceTypes, the items of repeated, collected and already parsed
+    // values are converted to the types of their schemas too
+    const value = values[name];
+    if (coerceTypes || value === null || typeof value !== "object") {
+      return;
+    }
+    if (type === "array" && Array.isArray(value)) {
+      values[name] = value.map((item) =>
+        coerceDeserializedValue(item, itemTypes)
+      );
+    } else if (type === "object" && !Array.isArray(value)) {
+      Object.keys(value).forEach((property) => {
+        value[property] = coerceDeserializedValue(
+          value[property],
+          (itemTypes || {})[property]
+        );
+      });
+    }
+  });
+}
+
+function deserializeParameter(
+  value,
+  { name, style, explode, type, types, itemTypes },
+  coerceTypes,
+  coerceParameters
+) {
+  const delimiters = {
+    spaceDelimited: " ",
+    pipeDelimited: "|",
+    tabDelimited: "\t",
+    label: explode ? "." : ",",
+    matrix: explode ? ";" : ",",
+  };
+  const delimiter = delimiters[style] || ",";
+
+  if (style === "label") {
+    value = value.replace(/^\./, "");
+  } else if (style === "matrix") {
+    const prefix = explode && type !== "primitive" ? ";" : `;${name}`;
+    if (value.indexOf(prefix) === 0) {
+      value = value.slice(prefix.length).replace(/^=/, "");
+    }
+  }
+
+  if (type === "primitive") {
+    return coerceParameters && !coerceTypes
+      ? coerceDeserializedValue(value, types)
+      : value;
+  }
+
+  // without coerceTypes, the items deserialized here are converted to the
+  // types of their schemas, as the validators don't coerce them
+  const coerce = (item, types) =>
+    coerceTypes ? item : coerceDeserializedValue(item, types);
+  if (
+    type === "array" &&
+    explode &&
+    (style === "form" ||
+      style === "spaceDelimited" ||
+      style === "pipeDelimited")
+  ) {
+    // exploded arrays arrive as repeated values, a single string is one item
+    return coerceTypes ? value.split(",") : [coerce(value, itemTypes)];
+  }
+
+  const parts = value === "" ? [] : value.split(delimiter);
+  if (type === "array") {
+    return (
+      style === "matrix" && explode
+        ? parts.map((part) => part.slice(part.indexOf("=") + 1))
+        : parts
+    ).map((item) => coerce(item, itemTypes));
+  }
+
+  const object = {};
+  if (explode) {
+    parts.forEach((part) => {
+      const index = part.indexOf("=");
+      if (index === -1) {
+        object[part] = "";
+      } else {
+        object[part.slice(0, index)] = part.slice(index + 1);
+      }
+    });
+  } else {
+    for (let i = 0; i < parts.length; i += 2) {
+      object[parts[i]] = parts[i + 1];
+    }
+  }
+  Object.keys(object).forEach((property) => {
+    object[property] = coerce(object[property], (itemTypes || {})[property]);
+  });
+  return object;
+}
+
+// numbers and booleans of the primitive types, unless strings are allowed too
+function coerceDeserializedValue(value, types) {
+  if (typeof value !== "string" || !types || types.includes("string")) {
+    return value;
+  }
+  if (
+    (types.includes("integer") || types.includes("number")) &&
+    value.trim() !== "" &&
+    !isNaN(Number(value))
+  ) {
+    return Number(value);
+  }
+  if (types.includes("boolean") && (value === "true" || value === "false")) {
+    return value === "true";
+  }
+  return value;
+}
+
+function collectObjectParameter(values, { name, style, properties }) {
+  if (values[name] !== null && typeof values[name] === "object") {
+    // already parsed, e.g. by qs
+    return;
+  }
+  const object = {};
+  let found = false;
+  Object.keys(values).forEach((key) => {
+    let property;
+    if (style === "deepObject") {
+      const match = /^([^[]+)\[([^\]]*)\]$/.exec(key);
+      property = match && match[1] === name ? match[2] : undefined;
+    } else if (properties.indexOf(key) > -1) {
+      property = key;
+    }
+    if (property !== undefined) {
+      object[property] = values[key];
+      delete values[key];
+      found = true;
+    }
+  });
+  if (found) {
+    values[name] = object;
+  }
+}
+
+function assignCoercedHeaders(requestHeaders, headers) {
+  if (requestHeaders === headers) {
+    return;
+  }
+  Object.keys(headers).forEach((header) => {
+    const key =
+      Object.keys(requestHeaders).find(
+        (requestHeader) => requestHeader.toLowerCase() === header
+      ) || header;
+    requestHeaders[key] = headers[header];
+  });
+}
+
+function getParameterStyles(parameters, location, enableHeadersLowercase) {
+  const defaultStyle =
+    location === "path" || location === "header" ? "simple" : "form";
+
+  return (parameters || [])
+    .filter((parameter) => parameter.in === location && parameter.schema)
+    .map((parameter) => {
+      const style = parameter.style || defaultStyle;
+      const type = getParameterType(parameter.schema);
+      return {
+        name:
+          location === "header" && enableHeadersLowercase
+            ? parameter.name.toLowerCase()
+            : parameter.name,
+        style,
+        explode: parameter.hasOwnProperty("explode")
+          ? parameter.explode
+          : style === "form",
+        type,
+        properties:
+          type === "object"
+            ? Object.keys(parameter.schema.properties || {})
+            : undefined,
+        types:
+          type === "primitive"
+            ? [].concat(parameter.schema.type || [])
+            : undefined,
+        itemTypes: getItemTypes(parameter.schema, type),
+      };
+    })
+    .filter(
+      (parameter) =>
+        parameter.type !== "primitive" ||
+        parameter.style === "label" ||
+        parameter.style === "matrix" ||
+        parameter.types.some((type) => type !== "string")
+    );
+}
+
+// the types of the items of arrays, or of each property of objects
+function getItemTypes(schema, type) {
+  const getTypes = (subschema) => [].concat((subschema || {}).type || []);
+  if (type === "array") {
+    return getTypes(schema.items);
+  }
+  if (type === "object") {
+    const properties = schema.properties || {};
+    const types = {};
+    Object.keys(properties).forEach((property) => {
+      types[property] = getTypes(properties[property]);
+    });
+    return types;
+  }
+}
+
+function getParameterType(schema) {
+  const types = [].concat(schema.type || []);
+  if (types.includes("array") || (!schema.type && schema.items)) {
+    return "array";
+  }
+  if (types.includes("object") || (!schema.type && schema.properties)) {
+    return "object";
+  }
+  return "primitive";
+}
+
+function lowercasedHeaders(headersSchema, enableHeadersLowercase) {
+  if (headersSchema && enableHeadersLowercase) {
     const properties = headersSchema.properties;
     Object.keys(properties).forEach((header) => {
       const property = properties[header];
@@ -515,10 +1502,11 @@ function lowercasedHeaders(headersSchema, enableHeadersLowercase) {
   return headersSchema;
 }
 
-function toOpenapiValidationError(error) {
+// validation is responseValidation for the errors of responses
+function toOpenapiValidationError(error, validation = "requestValidation") {
   const validationError = {
     path: "instance" + error.instancePath,
-    errorCode: `${error.keyword}.openapi.requestValidation`,
+    errorCode: `${error.keyword}.openapi.${validation}`,
     message: error.message,
     location: error.location,
   };
@@ -569,7 +1557,11 @@ function withAddedLocation(location, errors) {
   return errors;
 }
 
-function resolveAndSanitizeRequestBodySchema(requestBodySchema, v) {
+function resolveAndSanitizeRequestBodySchema(
+  requestBodySchema,
+  v,
+  keyword = "readOnly"
+) {
   let resolved;
   let copied;
 
@@ -577,19 +1569,21 @@ function resolveAndSanitizeRequestBodySchema(requestBodySchema, v) {
     const schema = requestBodySchema;
     Object.keys(schema.properties).forEach((property) => {
       let prop = schema.properties[property];
-      prop = sanitizeReadonlyPropertiesFromRequired(prop);
+      prop = sanitizeReadonlyPropertiesFromRequired(prop, keyword);
       if (!prop.hasOwnProperty("$ref") && !prop.hasOwnProperty("items")) {
-        prop = resolveAndSanitizeRequestBodySchema(prop, v);
+        prop = resolveAndSanitizeRequestBodySchema(prop, v, keyword);
       }
     });
-    requestBodySchema =
-      sanitizeReadonlyPropertiesFromRequired(requestBodySchema);
+    requestBodySchema = sanitizeReadonlyPropertiesFromRequired(
+      requestBodySchema,
+      keyword
+    );
   } else if ("$ref" in requestBodySchema) {
     resolved = v.getSchema(requestBodySchema.$ref);
     if (resolved && resolved.schema) {
       copied = JSON.parse(JSON.stringify(resolved.schema));
-      copied = sanitizeReadonlyPropertiesFromRequired(copied);
-      copied = resolveAndSanitizeRequestBodySchema(copied, v);
+      copied = sanitizeReadonlyPropertiesFromRequired(copied, keyword);
+      copied = resolveAndSanitizeRequestBodySchema(copied, v, keyword);
       requestBodySchema = copied;
     }
   } else if ("items" in requestBodySchema) {
@@ -597,36 +1591,37 @@ function resolveAndSanitizeRequestBodySchema(requestBodySchema, v) {
       resolved = v.getSchema(requestBodySchema.items.$ref);
       if (resolved && resolved.schema) {
         copied = JSON.parse(JSON.stringify(resolved.schema));
-        copied = sanitizeReadonlyPropertiesFromRequired(copied);
-        copied = resolveAndSanitizeRequestBodySchema(copied, v);
+        copied = sanitizeReadonlyPropertiesFromRequired(copied, keyword);
+        copied = resolveAndSanitizeRequestBodySchema(copied, v, keyword);
         requestBodySchema.items = copied;
       }
     }
   } else if ("allOf" in requestBodySchema) {
     requestBodySchema.allOf = requestBodySchema.allOf.map((val) => {
-      val = sanitizeReadonlyPropertiesFromRequired(val);
-      return resolveAndSanitizeRequestBodySchema(val, v);
+      val = sanitizeReadonlyPropertiesFromRequired(val, keyword);
+      return resolveAndSanitizeRequestBodySchema(val, v, keyword);
     });
   } else if ("oneOf" in requestBodySchema) {
     requestBodySchema.oneOf = requestBodySchema.oneOf.map((val) => {
-      val = sanitizeReadonlyPropertiesFromRequired(val);
-      return resolveAndSanitizeRequestBodySchema(val, v);
+      val = sanitizeReadonlyPropertiesFromRequired(val, keyword);
+      return resolveAndSanitizeRequestBodySchema(val, v, keyword);
     });
   } else if ("anyOf" in requestBodySchema) {
     requestBodySchema.anyOf = requestBodySchema.anyOf.map((val) => {
-      val = sanitizeReadonlyPropertiesFromRequired(val);
-      return resolveAndSanitizeRequestBodySchema(val, v);
+      val = sanitizeReadonlyPropertiesFromRequired(val, keyword);
+      return resolveAndSanitizeRequestBodySchema(val, v, keyword);
     });
   }
   return requestBodySchema;
 }
 
-function sanitizeReadonlyPropertiesFromRequired(schema) {
+// keyword is "writeOnly" for response schemas
+function sanitizeReadonlyPropertiesFromRequired(schema, keyword = "readOnly") {
   if ("properties" in schema && "required" in schema) {
     const readOnlyProps = Object.keys(schema.properties).map((key) => {
       const prop = schema.properties[key];
-      if (prop && "readOnly" in prop) {
-        if (prop.readOnly === true) {
+      if (prop && keyword in prop) {
+        if (prop[keyword] === true) {
           return key;
         }
       }
@@ -682,6 +1677,13 @@ function recursiveTransformOpenAPIV3Definitions(object) {
   });
 }
 
+function cloneSchema(schema) {
+  if (typeof schema !== "object") {
+    return schema;
+  }
+  return JSON.parse(JSON.stringify(schema));
+}
+
 function transformOpenAPIV3Definitions(schema) {
   if (typeof schema !== "object") {
     return schema;
@@ -698,81 +1700,970 @@ function getHeaderValue(requestHeaders, header) {
   return (requestHeaders || {})[matchingHeaders[0]];
 }
 
-function generateOASValidationCode(oasPath, generatedCodePath) {
-  const dir = generatedCodePath;
-  fs.rmSync(dir, { recursive: true, force: true });
-  fs.mkdirSync(dir);
-
-  const oas = deref(yaml.load(fs.readFileSync(oasPath, "utf-8")));
-
-  for (const resource of Object.keys(oas.paths)) {
-    for (const method of Object.keys(oas.paths[resource])) {
-      const oasFileNameFromPath = oasPath.split("/").pop().replace(".yaml", "");
-      const fileName = `${oasFileNameFromPath}_${resource.replace(
-        /\//g,
-        ""
-      )}_${method}.js`;
-
-      const endpoint = oas.paths[resource][method];
-      const validator = new OpenAPIRequestValidator(
-        endpoint,
-        dir,
-        fileName.replace(".js", "")
-      );
+// the size of the raw body, or of its JSON when it was parsed without a
+// content-length header
+function getBodyBytes(request) {
+  const contentLength = getHeaderValue(request.headers, "content-length");
+  if (/^\d+$/.test(contentLength)) {
+    return Number(contentLength);
+  }
+  const body = request.body;
+  if (body === undefined || body === null) {
+    return 0;
+  }
+  if (typeof body === "string") {
+    return Buffer.byteLength(body);
+  }
+  if (typeof body.byteLength === "number") {
+    return body.byteLength;
+  }
+  return Buffer.byteLength(JSON.stringify(body));
+}
+
+// a copy of a request whose validated parts can be changed by validation
+function copyRequest(request) {
+  const value = { ...request };
+  ["headers", "params", "query", "cookies", "body"].forEach((part) => {
+    if (request[part] !== undefined) {
+      value[part] = copyValue(request[part]);
+    }
+  });
+  return value;
+}
+
+// copies plain objects and arrays, other objects like Buffers are shared
+function copyValue(value) {
+  if (Array.isArray(value)) {
+    return value.map(copyValue);
+  }
+  if (value === null || typeof value !== "object") {
+    return value;
+  }
+  const prototype = Object.getPrototypeOf(value);
+  if (prototype !== Object.prototype && prototype !== null) {
+    return value;
+  }
+  const copy = {};
+  Object.keys(value).forEach((key) => {
+    copy[key] = copyValue(value[key]);
+  });
+  return copy;
+}
+
+function parseCookies(cookieHeader) {
+  const cookies = {};
+  if (typeof cookieHeader !== "string") {
+    return cookies;
+  }
+  cookieHeader.split(";").forEach((pair) => {
+    const index = pair.indexOf("=");
+    if (index === -1) {
+      return;
+    }
+    const name = pair.slice(0, index).trim();
+    let value = pair
+      .slice(index + 1)
+      .trim()
+      .replace(/^"(.*)"$/, "$1");
+    try {
+      value = decodeURIComponent(value);
+    } catch (e) {
+      // keep the raw value
+    }
+    if (name && !cookies.hasOwnProperty(name)) {
+      cookies[name] = value;
+    }
+  });
+  return cookies;
+}
+
+function isFormMediaType(mediaType) {
+  const type = mediaType.split(";")[0].trim().toLowerCase();
+  return (
+    type === "application/x-www-form-urlencoded" ||
+    type.indexOf("multipart/") === 0
+  );
+}
+
+function isBinarySchema(schema) {
+  return (
+    !!schema &&
+    schema.type === "string" &&
+    (schema.format === "binary" ||
+      (schema.contentMediaType !== undefined && !schema.contentEncoding))
+  );
+}
+
+function getFormDescriptor(mediaType, schema, encoding) {
+  const properties = schema.properties || {};
+  const required = schema.required || [];
+  const isMultipart = mediaType.toLowerCase().indexOf("multipart/") === 0;
+  const files = [];
+  const fieldParameters = [];
+  const jsonFields = [];
+
+  Object.keys(properties).forEach((name) => {
+    const property = properties[name];
+    const propertyEncoding = encoding[name] || {};
+    const multiple =
+      getParameterType(property) === "array" && isBinarySchema(property.items);
+
+    if (multiple || isBinarySchema(property)) {
+      const fileSchema = multiple ? property.items : property;
+      const contentTypes =
+        propertyEncoding.contentType || fileSchema.contentMediaType;
+      files.push({
+        name,
+        required: required.indexOf(name) > -1,
+        multiple,
+        maxItems: multiple ? property.maxItems : 1,
+        contentTypes: contentTypes
+          ? contentTypes.split(",").map((contentType) => contentType.trim())
+          : undefined,
+        minSize: fileSchema.minLength,
+        maxSize: fileSchema.maxLength,
+      });
+    } else if (isMultipart && !propertyEncoding.style) {
+      // multipart object parts default to application/json
+      const type = getParameterType(property);
+      const contentType =
+        propertyEncoding.contentType ||
+        (type === "object" ||
+        (type === "array" &&
+          getParameterType(property.items || {}) === "object")
+          ? "application/json"
+          : undefined);
+      if (contentType && /json/i.test(contentType)) {
+        jsonFields.push(name);
+      }
+    } else {
+      // urlencoded fields (and multipart fields with a style) are serialized
+      // like query parameters
+      fieldParameters.push({
+        ...propertyEncoding,
+        name,
+        in: "body",
+        schema: property,
+      });
+    }
+  });
+
+  return {
+    files,
+    jsonFields,
+    fields: getParameterStyles(fieldParameters, "body"),
+  };
+}
+
+function withoutFileProperties(schema, files) {
+  if (!files.length) {
+    return schema;
+  }
+  const names = files.map((file) => file.name);
+  const fieldsSchema = {
+    ...schema,
+    properties: { ...schema.properties },
+  };
+  names.forEach((name) => {
+    delete fieldsSchema.properties[name];
+  });
+  if (schema.required) {
+    fieldsSchema.required = schema.required.filter(
+      (name) => names.indexOf(name) === -1
+    );
+  }
+  return fieldsSchema;
+}
+
+function getResponseHeadersSchema(headers) {
+  if (!headers) {
+    return;
+  }
+  const schema = { type: "object", properties: {}, required: [] };
+  Object.keys(headers).forEach((name) => {
+    const header = headers[name];
+    // Content-Type is described by the response content instead
+    if (name.toLowerCase() === "content-type" || !header.schema) {
+      return;
+    }
+    schema.properties[name.toLowerCase()] = header.schema;
+    if (header.required) {
+      schema.required.push(name.toLowerCase());
+    }
+  });
+  return Object.keys(schema.properties).length ? schema : undefined;
+}
+
+function getSecuritySchemes(security, securitySchemes) {
+  const schemes = {};
+  security.forEach((requirement) => {
+    Object.keys(requirement).forEach((name) => {
+      const scheme = securitySchemes[name];
+      if (scheme) {
+        schemes[name] = {
+          type: scheme.type,
+          in: scheme.in,
+          name: scheme.name,
+          scheme: scheme.scheme && scheme.scheme.toLowerCase(),
+        };
+      }
+    });
+  });
+  return schemes;
+}
+
+function getMediaTypeFileKey(mediaType) {
+  return mediaType
+    .replace(/\//g, "")
+    .replace(/\*/g, "any")
+    .replace(/[^\w.+-]/g, "_");
+}
 
-      const serializedValidator = serialize(validator, { unsafe: true });
+function getAjvClass(jsonSchemaDialect, loggingKey) {
+  if (!jsonSchemaDialect) {
+    return Ajv;
+  }
+  const AjvClass = JSON_SCHEMA_DIALECTS[jsonSchemaDialect.replace(/#$/, "")];
+  if (!AjvClass) {
+    throw new Error(
+      `${loggingKey}unsupported jsonSchemaDialect ${jsonSchemaDialect}`
+    );
+  }
+  return AjvClass;
+}
+
+// oasPathOrSpec is the path of a .yaml, .yml or .json spec, or an already
+// parsed spec whose relative $refs are resolved from the working directory
+function generateOASValidationCode(
+  oasPathOrSpec,
+  generatedCodePath,
+  options = {}
+) {
+  return generate(oasPathOrSpec, generatedCodePath, options).routes;
+}
+
+// Regenerates the validators whenever the spec or a file it references changes
+function watchOASValidationCode(oasPath, generatedCodePath, options = {}) {
+  if (typeof oasPath !== "string") {
+    throw new Error("only spec files can be watched");
+  }
+  const {
+    onGenerate = () => {},
+    onError = (e) => console.error(e.message),
+    delay = 100,
+  } = options;
+  const watchers = {};
+  let files = [path.resolve(oasPath)];
+  let timer;
+
+  function run() {
+    try {
+      const result = generate(oasPath, generatedCodePath, options);
+      files = result.files;
+      onGenerate(result.routes);
+    } catch (e) {
+      // keep watching the files of the last good spec until the error is fixed
+      onError(e);
+    }
+    watchDirectories();
+  }
+
+  function watchDirectories() {
+    // directories are watched, as editors often replace files on save
+    const dirs = files
+      .map((file) => path.dirname(file))
+      .filter((dir, i, all) => all.indexOf(dir) === i);
+    Object.keys(watchers)
+      .filter((dir) => dirs.indexOf(dir) === -1)
+      .forEach((dir) => {
+        watchers[dir].close();
+        delete watchers[dir];
+      });
+    dirs
+      .filter((dir) => !watchers[dir])
+      .forEach((dir) => {
+        watchers[dir] = fs.watch(dir, (eventType, fileName) => {
+          if (fileName && files.indexOf(path.join(dir, fileName)) > -1) {
+            clearTimeout(timer);
+            timer = setTimeout(run, delay);
+          }
+        });
+      });
+  }
+
+  run();
+
+  return {
+    close() {
+      clearTimeout(timer);
+      Object.keys(watchers).forEach((dir) => watchers[dir].close());
+    },
+  };
+}
+
+// Compiles the validators of a spec in memory, keyed like the operations of a
+// bundle, without generating any code
+function compileOASValidators(oasPathOrSpec, options = {}) {
+  const { bundle, operations } = compileSpec(oasPathOrSpec, options, true);
+  checkOperationKeys(operations);
+  const createValidateRequest = getCreateValidateRequest();
+
+  const validators = {};
+  operations.forEach((operation) => {
+    const validator = operation.compile();
+    validators[operation.key] = createValidateRequest({
+      ...validator,
+      ...getOperationValidators(validator, (fileKey) =>
+        bundle.getValidatorFunction(`${operation.baseName}_${fileKey}`)
+      ),
+    });
+  });
+  return validators;
+}
+
+// Loads a spec, whose operations compile(args) their validator into the Ajv
+// instances of the bundle of the spec. The generator passes the args of its
+// output, and only compiles the operations that changed.
+function compileSpec(oasPathOrSpec, options, inMemory) {
+  const spec = loadOperations(oasPathOrSpec, options, inMemory);
+  const bundle = createSpecBundle(spec.oas, spec.jsonSchemaDialect);
+  const operations = spec.operations.map((operation) => ({
+    ...operation,
+    compile: (args = operation.args) =>
+      new OpenAPIRequestValidator(args, operation.baseName, bundle),
+  }));
+  return { ...spec, bundle, operations };
+}
+
+// The runtime functions refer to the _validator of the generated module they
+// are written into. In memory, the same source is evaluated once, so that
+// _validator is the argument of createValidateRequest.
+let createValidateRequestFunction;
+function getCreateValidateRequest() {
+  if (!createValidateRequestFunction) {
+    createValidateRequestFunction = new Function(
+      "contentTypeParser",
+      `${getRuntimeCode()}\nreturn createValidateRequest;`
+    )(contentTypeParser);
+  }
+  return createValidateRequestFunction;
+}
+
+// Loads a spec and collects the arguments of the validator of each operation.
+// Validators compiled in memory accept the values of module options too.
+function loadOperations(oasPathOrSpec, options, inMemory) {
+  const isPath = typeof oasPathOrSpec === "string";
+  const oasPath = isPath
+    ? path.resolve(oasPathOrSpec)
+    : path.join(process.cwd(), options.name || "oas");
+  const documents = {};
+  const externalIds = [options]
+    .concat(Object.values(options.operations || {}))
+    .reduce(
+      (ids, { externalSchemas }) =>
+        ids.concat(Object.keys(externalSchemas || {})),
+      []
+    );
+  const spec = dereference(
+    isPath ? loadSpec(oasPath) : oasPathOrSpec,
+    oasPath,
+    documents,
+    externalIds
+  );
+  const oas = spec.swagger === "2.0" ? convertSwagger2(spec) : spec;
+  const name = path.basename(oasPath, isPath ? path.extname(oasPath) : "");
+
+  const specOptions = getValidatorOptions(options, "options", inMemory);
+  const specExtensionOptions = getExtensionOptions(oas, "");
+  const operationOptions = options.operations || {};
+  const unmatchedKeys = Object.keys(operationOptions);
+
+  // OpenAPI 3.1 schemas are JSON Schema 2020-12 unless the document says otherwise
+  const jsonSchemaDialect = /^3\.1\./.test(oas.openapi)
+    ? oas.jsonSchemaDialect || OPENAPI_31_DIALECT
+    : undefined;
+
+  const operations = [];
+  for (const resource of Object.keys(oas.paths || {})) {
+    const pathItem = oas.paths[resource];
+    const pathItemPrefix = `paths[${JSON.stringify(resource)}].`;
+    const pathItemExtensionOptions = getExtensionOptions(
+      pathItem,
+      pathItemPrefix
+    );
+    const methods = Object.keys(pathItem).filter(
+      (key) => HTTP_METHODS.indexOf(key) > -1
+    );
+    for (const method of methods) {
+      const endpoint = {
+        ...pathItem[method],
+        parameters: mergeParameters(
+          pathItem.parameters,
+          pathItem[method].parameters
+        ),
+      };
+      // options < x- extensions of the spec, path item and operation <
+      // options of the method and path < options of the operationId
+      const extensionOptions = {
+        ...specExtensionOptions,
+        ...pathItemExtensionOptions,
+        ...getExtensionOptions(endpoint, `${pathItemPrefix}${method}.`),
+      };
+      const { validatorOptions, modules } = [
+        `${method.toUpperCase()} ${resource}`,
+        endpoint.operationId,
+      ]
+        .filter((key) => operationOptions.hasOwnProperty(key))
+        .reduce(
+          (merged, key) => {
+            unmatchedKeys.splice(unmatchedKeys.indexOf(key), 1);
+            const overrides = getValidatorOptions(
+              operationOptions[key],
+              `options.operations[${JSON.stringify(key)}]`,
+              inMemory
+            );
+            return {
+              validatorOptions: {
+                ...merged.validatorOptions,
+                ...overrides.validatorOptions,
+              },
+              modules: { ...merged.modules, ...overrides.modules },
+            };
+          },
+          {
+            validatorOptions: {
+              ...specOptions.validatorOptions,
+              ...extensionOptions,
+            },
+            modules: specOptions.modules,
+          }
+        );
+      operations.push({
+        resource,
+        method,
+        operationId: endpoint.operationId,
+        key: endpoint.operationId || `${method.toUpperCase()} ${resource}`,
+        baseName: `${name}_${resource.replace(/\//g, "")}_${method}`,
+        modules,
+        args: {
+          ...endpoint,
+          ...validatorOptions,
+          jsonSchemaDialect,
+          componentSchemas: (oas.components || {}).schemas,
+          security:
+            endpoint.security !== undefined ? endpoint.security : oas.security,
+          securitySchemes: (oas.components || {}).securitySchemes,
+        },
+      });
+    }
+  }
+  if (unmatchedKeys.length) {
+    throw new Error(
+      `options.operations[${JSON.stringify(
+        unmatchedKeys[0]
+      )}] matches no operationId, or method and path`
+    );
+  }
 
-      const contentTypeParserCode = fs.readFileSync(
-        __dirname + "/content-type.js",
-        "utf-8"
+  return {
+    oas,
+    name,
+    jsonSchemaDialect,
+    operations,
+    files: isPath ? Object.keys(documents) : [],
+  };
+}
+
+// Picks the validator options, and loads the ones given as module paths. name
+// is the name of the options in errors.
+function getValidatorOptions(options, name, inMemory) {
+  const validatorOptions = {};
+  const modules = {};
+  VALIDATOR_OPTIONS.filter((option) => options[option] !== undefined).forEach(
+    (option) => {
+      if (!MODULE_OPTIONS.hasOwnProperty(option)) {
+        validatorOptions[option] = options[option];
+        return;
+      }
+      if (typeof options[option] !== "string") {
+        if (inMemory) {
+          validatorOptions[option] = options[option];
+          return;
+        }
+        throw new Error(
+          `${name}.${option} must be the path of a module exporting ${MODULE_OPTIONS[option]}`
+        );
+      }
+      modules[option] = path.resolve(options[option]);
+      validatorOptions[option] = require(modules[option]);
+    }
+  );
+  return { validatorOptions, modules };
+}
+
+// Picks the validator options of the x- extensions of a spec, path item or
+// operation. prefix locates the object in errors.
+function getExtensionOptions(object, prefix) {
+  const options = {};
+  Object.keys(EXTENSION_OPTIONS)
+    .filter((extension) => object[extension] !== undefined)
+    .forEach((extension) => {
+      const [option, description, isValid] = EXTENSION_OPTIONS[extension];
+      if (!isValid(object[extension])) {
+        throw new Error(`${prefix}${extension} must be ${description}`);
+      }
+      options[option] = object[extension];
+    });
+
+  const validation = object["x-validation"];
+  if (validation !== undefined) {
+    if (!validation || !isBoolean(validation.skip)) {
+      throw new Error(`${prefix}x-validation must be like { skip: true }`);
+    }
+    options.skipValidation = validation.skip;
+  }
+  return options;
+}
+
+function isBoolean(value) {
+  return typeof value === "boolean";
+}
+
+function isByteCount(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+function isErrorStatus(value) {
+  return Number.isInteger(value) && value >= 400 && value <= 599;
+}
+
+// validators of bundles and compiled validators are exported by these keys
+function checkOperationKeys(operations) {
+  operations.forEach((operation, i) => {
+    if (operations.findIndex((other) => other.key === operation.key) !== i) {
+      throw new Error(`${operation.key} is the key of several operations`);
+    }
+  });
+}
+
+function createSpecBundle(oas, jsonSchemaDialect) {
+  return createBundle((oas.components || {}).schemas, (schema, keyword) => {
+    const sanitized = resolveAndSanitizeRequestBodySchema(
+      cloneSchema(schema),
+      undefined,
+      keyword
+    );
+    return jsonSchemaDialect
+      ? sanitized
+      : transformOpenAPIV3Definitions(sanitized);
+  });
+}
+
+// The validators used by validateRequest and validateResponse, as returned by
+// getValidator for their file keys. Missing sub-validators are left out.
+function getOperationValidators(validator, getValidator) {
+  const requestBodyValidators = {};
+  Object.keys(
+    (validator.requestBody && validator.requestBody.content) || {}
+  ).forEach((mediaType) => {
+    requestBodyValidators[mediaType] = getValidator(
+      `requestBodyValidators_${getMediaTypeFileKey(mediaType)}`
+    );
+  });
+
+  const responseValidators = {};
+  Object.keys(validator.responses).forEach((statusCode) => {
+    const responseSpec = validator.responses[statusCode];
+    const content = {};
+    Object.keys(responseSpec.content).forEach((mediaType) => {
+      content[mediaType] = getValidator(
+        `responseValidators_${statusCode}_${getMediaTypeFileKey(mediaType)}`
       );
-      fs.writeFileSync(
-        `${dir}/content-type.js`,
-        contentTypeParserCode,
-        "utf-8"
+    });
+    responseValidators[statusCode] = {
+      headers: responseSpec.hasHeaders
+        ? getValidator(`responseHeaders_${statusCode}`)
+        : undefined,
+      content,
+    };
+  });
+
+  const validators = { requestBodyValidators, responseValidators };
+  SUB_VALIDATORS.forEach((key) => {
+    const subValidator = getValidator(key);
+    if (subValidator) {
+      validators[key] = subValidator;
+    }
+  });
+  return validators;
+}
+
+// Generates the code of the validators that compileSpec compiled
+function generate(oasPathOrSpec, generatedCodePath, options) {
+  const dir = generatedCodePath;
+  const {
+    oas,
+    name: oasFileNameFromPath,
+    bundle,
+    operations,
+    files: specFiles,
+  } = compileSpec(oasPathOrSpec, options);
+
+  const format = options.format || "cjs";
+  if (OUTPUT_FORMATS.indexOf(format) === -1) {
+    throw new Error(`unsupported format ${format}`);
+  }
+  const esm = format === "esm";
+  const extension = esm ? ".mjs" : ".js";
+  const outputArgs = {
+    // bundles are converted to ES modules as a whole
+    esm: esm && !options.bundle,
+  };
+
+  const output = createOutput(dir, oasFileNameFromPath);
+  // operations are regenerated when their part of the spec, the options, the
+  // modules of the options or the generator itself changed
+  const generatorHash = hash(
+    [__filename, __dirname + "/declarations.js", __dirname + "/problem.js"]
+      .map((file) => fs.readFileSync(file, "utf-8"))
+      .join("\n")
+  );
+
+  const routes = [];
+  const bundled = !!options.bundle;
+  const bundleFileName = oasFileNameFromPath + extension;
+  const bundleOperations = [];
+  const bundleDeclarations = [];
+  if (bundled) {
+    checkOperationKeys(operations);
+  }
+
+  for (const operation of operations) {
+    const { resource, method, operationId, key, baseName } = operation;
+    const fileName = bundled ? bundleFileName : baseName + extension;
+    const moduleArgs = {};
+    Object.keys(operation.modules).forEach((option) => {
+      moduleArgs[`${option}Module`] = toRequirePath(
+        path.relative(path.resolve(dir), operation.modules[option])
       );
+    });
+    const args = { ...operation.args, ...outputArgs, ...moduleArgs };
+    const route = { resource, method, operationId, fileName };
+    if (bundled) {
+      // bundles export the validators by operationId, or method and path
+      route.key = key;
+    }
+    routes.push(route);
+
+    // component schemas are inlined, operations only depend on the ones they use
+    const inputHash = hash(
+      JSON.stringify([
+        generatorHash,
+        fileName,
+        { ...args, componentSchemas: undefined },
+        Object.keys(operation.modules).map((option) =>
+          fs.readFileSync(operation.modules[option], "utf-8")
+        ),
+      ])
+    );
+    if (!bundled && output.reuseOperation(fileName, inputHash)) {
+      continue;
+    }
 
-      const helperFunctions = [
-        getSchemaForMediaType,
-        withAddedLocation,
-        getHeaderValue,
-        lowercaseRequestHeaders,
-        stripBodyInfo,
-      ];
+    const files = {};
+    const validator = operation.compile(args);
 
-      let output = `
-        const contentTypeParser = require('./content-type.js');
+    // error transformers are required by the generated code
+    const serializedValidator = serialize(
+      { ...validator, errorMapper: undefined },
+      { unsafe: true }
+    );
+
+    // sub-validators are required next to the endpoint module, imported
+    // statically by ES modules, or part of the bundle
+    const imports = [];
+    const importValidator = (fileKey) => {
+      const validatorName = `${baseName}_${fileKey}`;
+      if (bundled) {
+        return bundle.getValidator(validatorName);
+      }
+      if (!bundle.getValidator(validatorName)) {
+        return;
+      }
+      files[`${validatorName}.js`] = bundle.getValidatorModule(validatorName);
+      if (!esm) {
+        return `require(__filename.replace(/\\.js$/, '_${fileKey}.js'))`;
+      }
+      const name = `validator${imports.length}`;
+      imports.push(`import ${name} from './${baseName}_${fileKey}.mjs';`);
+      return name;
+    };
+    const operationValidators = getOperationValidators(
+      validator,
+      importValidator
+    );
+    const errorMapperCode = args.errorTransformerModule
+      ? `extendedErrorMapper(require(${JSON.stringify(
+          args.errorTransformerModule
+        )}))`
+      : "toOpenapiValidationError";
+    const validatorCode = `
         const _validator = ${serializedValidator};
-        try {
-          _validator.requestBodyValidators = {
-            'application/json': require(__filename.replace(/\.js$/, '_requestBodyValidators_applicationjson.js'))
-          }
-        } catch {}
-        try {
-          _validator.validateBody = require(__filename.replace(/\.js$/, '_validateBody.js'))
-        } catch {}
-        try {
-          _validator.validateFormData = require(__filename.replace(/\.js$/, '_validateFormData.js'))
-        } catch {}
-        try {
-          _validator.validateHeaders = require(__filename.replace(/\.js$/, '_validateHeaders.js'))
-        } catch {}
-        try {
-          _validator.validatePath = require(__filename.replace(/\.js$/, '_validatePath.js'))
-        } catch {}
-        try {
-          _validator.validateQuery = require(__filename.replace(/\.js$/, '_validateQuery.js'))
-        } catch {}
+        _validator.errorMapper = ${
+          args.errorFormat === "problem"
+            ? `withErrorPointer(${errorMapperCode})`
+            : errorMapperCode
+        };
+        ${Object.keys(operationValidators)
+          .map(
+            (name) =>
+              `_validator.${name} = ${toObjectCode(operationValidators[name])};`
+          )
+          .join("\n        ")}
       `;
-      helperFunctions.forEach((fn) => {
-        output += fn.toString();
-      });
-      output += `module.exports=${validateRequest.toString()}`;
 
-      const file = path.join(dir, fileName);
-      fs.writeFileSync(file, output, "utf-8");
+    const bodyContent =
+      (validator.requestBody && validator.requestBody.content) || {};
+    const forms = Object.keys(validator.formMediaTypes).map(
+      (mediaType) => validator.formMediaTypes[mediaType]
+    );
+    const declarationOptions = {
+      ...args,
+      bodySchemas: Object.keys(bodyContent).map((mediaType) => {
+        const form = validator.formMediaTypes[mediaType];
+        const schema = bodyContent[mediaType].schema || {};
+        return form ? withoutFileProperties(schema, form.files) : schema;
+      }),
+      isBodyRequired: validator.isBodyRequired,
+      hasFiles: forms.some((form) => form.files.length),
+    };
+
+    if (bundled) {
+      bundleOperations.push(
+        `${JSON.stringify(key)}: createValidateRequest((function () {
+          ${validatorCode}
+          return _validator;
+        })())`
+      );
+      bundleDeclarations.push({ ...declarationOptions, key });
+      continue;
+    }
+
+    let code = `
+        ${
+          esm
+            ? `import contentTypeParser from './content-type.mjs';${imports.join(
+                ""
+              )}`
+            : "const contentTypeParser = require('./content-type.js');"
+        }
+        ${validatorCode}
+      `;
+    [
+      ...HELPER_FUNCTIONS,
+      checkRequest,
+      validateResponse,
+      validateSecurity,
+    ].forEach((fn) => {
+      code += fn.toString();
+    });
+    if (esm) {
+      code += `export default ${validateRequest.toString()};`;
+      code += `export { validateResponse };`;
+    } else {
+      code += `module.exports=${validateRequest.toString()};`;
+      code += `module.exports.validateResponse=validateResponse;`;
+    }
+
+    const declarations = getDeclarations(declarationOptions);
+
+    Object.keys(files).forEach((name) => {
+      if (esm) {
+        files[name.replace(/\.js$/, ".mjs")] = toESModuleImports(files[name]);
+        delete files[name];
+      }
+    });
+    files[fileName] = esm ? toESModuleImports(code) : code;
+    files[`${baseName}${esm ? ".d.mts" : ".d.ts"}`] = declarations;
+    output.addOperation(fileName, inputHash, files);
+  }
+
+  const contentTypeParserCode = fs.readFileSync(
+    __dirname + "/content-type.js",
+    "utf-8"
+  );
+  output.addFile(
+    `content-type${extension}`,
+    esm ? toESModule(contentTypeParserCode) : contentTypeParserCode
+  );
+  if (bundled) {
+    output.addFile(
+      bundleFileName,
+      getBundleCode(bundle, bundleOperations, esm)
+    );
+    output.addFile(
+      `${oasFileNameFromPath}${esm ? ".d.mts" : ".d.ts"}`,
+      getBundleDeclarations(bundleDeclarations, esm)
+    );
+  }
+  writeRouter(oas, routes, output, oasFileNameFromPath, esm, options);
+
+  if (options.check) {
+    const { written, deleted } = output.getChanges();
+    if (written.length || deleted.length) {
+      throw new Error(
+        `${dir} is out of date with the spec: ${written
+          .map((name) => `${name} changed`)
+          .concat(deleted.map((name) => `${name} is stale`))
+          .join(", ")}`
+      );
     }
+  } else {
+    output.commit();
   }
+  return { routes, files: specFiles };
+}
+
+// createValidateRequest(_validator), which is shared by the operations of
+// bundles and of compiled validators, with the helpers it uses
+function getRuntimeCode() {
+  return `
+    ${HELPER_FUNCTIONS.map((fn) => fn.toString()).join("\n")}
+    function createValidateRequest(_validator) {
+      ${[validateRequest, checkRequest, validateResponse, validateSecurity]
+        .map((fn) => fn.toString())
+        .join("\n")}
+      validateRequest.validateResponse = validateResponse;
+      return validateRequest;
+    }
+  `;
+}
+
+function getBundleCode(bundle, operations, esm) {
+  const code = `
+    ${
+      esm
+        ? "import contentTypeParser from './content-type.mjs';"
+        : "const contentTypeParser = require('./content-type.js');"
+    }
+    ${bundle.getCode()}
+    ${getRuntimeCode()}
+    const validators = {${operations.join(",")}};
+  `;
+  return esm
+    ? `${toESModuleImports(code)}export default validators;`
+    : `${code}module.exports = validators;`;
+}
+
+// code of an object whose values are the code of expressions
+function toObjectCode(value) {
+  if (value === undefined || typeof value === "string") {
+    return String(value);
+  }
+  return `{${Object.keys(value)
+    .map((key) => `${JSON.stringify(key)}: ${toObjectCode(value[key])}`)
+    .join(",")}}`;
+}
+
+function toRequirePath(relativePath) {
+  const requirePath = relativePath.split(path.sep).join("/");
+  return requirePath.charAt(0) === "." ? requirePath : `./${requirePath}`;
+}
+
+// the router returns problem details with the errorFormat of the options
+function writeRouter(oas, routes, output, oasFileNameFromPath, esm, options) {
+  const routerCode = fs.readFileSync(__dirname + "/router.js", "utf-8");
+  output.addFile(
+    esm ? "router.mjs" : "router.js",
+    esm ? toESModule(routerCode) : routerCode
+  );
+
+  const servers = (oas.servers || []).map((server) => server.url);
+  // the operations of a bundle share their module
+  const modules = routes
+    .map((route) => route.fileName)
+    .filter((fileName, i, all) => all.indexOf(fileName) === i);
+  const routeEntries = routes.map(
+    ({ resource, method, operationId, fileName, key }) => `{
+        resource: ${JSON.stringify(resource)},
+        method: ${JSON.stringify(method)},
+        operationId: ${JSON.stringify(operationId)},
+        validateRequest: ${
+          esm
+            ? `module${modules.indexOf(fileName)}`
+            : `require(${JSON.stringify(`./${fileName}`)})`
+        }${key ? `[${JSON.stringify(key)}]` : ""},
+      }`
+  );
+
+  const problemOptions =
+    options.errorFormat === "problem"
+      ? `
+      errorFormat: "problem",
+      toProblemDetails: ${toProblemDetails.toString()},`
+      : "";
+  const code = esm
+    ? `
+    import createRouter from './router.mjs';
+    ${modules
+      .map((fileName, i) => `import module${i} from './${fileName}';`)
+      .join("\n    ")}
+    export default createRouter({
+      servers: ${JSON.stringify(servers)},
+      routes: [${routeEntries.join(",")}],${problemOptions}
+    });
+  `
+    : `
+    const createRouter = require('./router.js');
+    module.exports = createRouter({
+      servers: ${JSON.stringify(servers)},
+      routes: [${routeEntries.join(",")}],${problemOptions}
+    });
+  `;
+
+  output.addFile(`${oasFileNameFromPath}_router${esm ? ".mjs" : ".js"}`, code);
+}
+
+// wraps a CommonJS module without dependencies, like router.js, into an ES module
+function toESModule(code) {
+  return `const module = { exports: {} };
+const exports = module.exports;
+${code}
+export default module.exports;
+`;
+}
+
+// turns the require()s of Ajv standalone code into static imports
+function toESModuleImports(code) {
+  const specifiers = [];
+  const body = code.replace(/require\(("[^"]+")\)/g, (match, specifier) => {
+    if (specifiers.indexOf(specifier) === -1) {
+      specifiers.push(specifier);
+    }
+    return `require${specifiers.indexOf(specifier)}`;
+  });
+  return (
+    specifiers
+      .map(
+        (specifier, i) =>
+          `import require${i} from ${JSON.stringify(
+            withModuleExtension(JSON.parse(specifier))
+          )};`
+      )
+      .join("") + body
+  );
+}
+
+function withModuleExtension(specifier) {
+  // packages without an exports map need file extensions in ES modules
+  const isFile =
+    specifier.charAt(0) === "." ||
+    specifier.split("/").length > (specifier.charAt(0) === "@" ? 2 : 1);
+  return isFile && !/\.(c|m)?js(on)?$/.test(specifier)
+    ? `${specifier}.js`
+    : specifier;
 }
 
 module.exports = generateOASValidationCode;
+module.exports.watch = watchOASValidationCode;
+module.exports.compile = compileOASValidators;
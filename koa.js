@@ -0,0 +1,49 @@
+"use strict";
+
+const { createAdapter, toResource } = require("./adapter");
+const { isProblemDetails, PROBLEM_CONTENT_TYPE } = require("./problem");
+
+function createKoaMiddleware(router, options = {}) {
+  if (typeof router !== "function" || typeof router.resolve !== "function") {
+    throw new Error("router must be a generated <oas>_router.js module");
+  }
+  const { formatError = (err) => err } = options;
+  const { validate } = createAdapter(router, options);
+
+  return async function validateRequestMiddleware(ctx, next) {
+    const resolved = router.resolve(ctx.method, {
+      // set by @koa/router for the route that matched
+      resource: toResource(ctx._matchedRoute),
+      path: ctx.path,
+      params: ctx.params,
+    });
+    const { err, value } = await validate(
+      resolved,
+      {
+        headers: ctx.request.headers,
+        query: ctx.request.query,
+        body: ctx.request.body,
+        files: ctx.request.files,
+        file: ctx.request.file,
+      },
+      ctx.originalUrl || ctx.url
+    );
+    if (value) {
+      ctx.state.validatedRequest = value;
+    }
+
+    if (!err) {
+      return next();
+    }
+    ctx.status = err.status;
+    if (err.allow) {
+      ctx.set("Allow", err.allow.join(", "));
+    }
+    ctx.body = formatError(err, ctx);
+    if (isProblemDetails(err)) {
+      ctx.type = PROBLEM_CONTENT_TYPE;
+    }
+  };
+}
+
+module.exports = createKoaMiddleware;
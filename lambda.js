@@ -0,0 +1,158 @@
+"use strict";
+
+const { parseQuery } = require("./router");
+const {
+  createAdapter,
+  whenResolved,
+  getErrorContentType,
+} = require("./adapter");
+
+function createLambdaValidator(router, options = {}) {
+  if (typeof router !== "function" || typeof router.resolve !== "function") {
+    throw new Error("router must be a generated <oas>_router.js module");
+  }
+  const { formatError = (err) => err } = options;
+  const adapter = createAdapter(router, {
+    ...options,
+    ignoreUnmatchedRoutes: false,
+  });
+
+  return function validateEvent(event) {
+    const instance = event.version === "2.0" ? event.rawPath : event.path;
+    const toResult = (request, err) => ({
+      request,
+      response: err && toProxyResponse(err, formatError(err, event)),
+    });
+    let request;
+
+    try {
+      request = toValidatorRequest(event);
+    } catch (e) {
+      if (!(e instanceof SyntaxError)) {
+        throw e;
+      }
+      return toResult(
+        undefined,
+        adapter.formatError(
+          {
+            status: 400,
+            errors: [
+              {
+                location: "body",
+                message: "request.body is not valid JSON",
+              },
+            ],
+          },
+          instance
+        )
+      );
+    }
+
+    const resolved = router.resolve(request.method, {
+      resource: request.resource,
+      path: request.path,
+      params: request.params,
+    });
+    if (resolved.route) {
+      request.params = resolved.params;
+    }
+    // a promise with asynchronous security handlers
+    return whenResolved(
+      adapter.validate(resolved, request, instance),
+      ({ err, value }) => toResult(value || request, err)
+    );
+  };
+}
+
+function toValidatorRequest(event) {
+  const isV2 = event.version === "2.0";
+  const headers = getHeaders(event);
+
+  if (isV2 && Array.isArray(event.cookies) && event.cookies.length) {
+    headers.cookie = event.cookies.join("; ");
+  }
+
+  return {
+    method: isV2 ? event.requestContext.http.method : event.httpMethod,
+    resource: isV2 ? getRouteKeyResource(event.routeKey) : event.resource,
+    path: isV2 ? event.rawPath : event.path,
+    headers,
+    query: getQuery(event, isV2),
+    params: { ...(event.pathParameters || {}) },
+    body: getBody(event, headers),
+  };
+}
+
+function getRouteKeyResource(routeKey) {
+  // routeKey is "<METHOD> <resource>", or "$default" for the catch-all route
+  const parts = (routeKey || "").split(" ");
+  return parts.length === 2 ? parts[1] : undefined;
+}
+
+function getHeaders(event) {
+  const headers = {};
+  Object.keys(event.headers || {}).forEach((name) => {
+    headers[name.toLowerCase()] = event.headers[name];
+  });
+  Object.keys(event.multiValueHeaders || {}).forEach((name) => {
+    const values = event.multiValueHeaders[name];
+    if (Array.isArray(values) && values.length > 1) {
+      headers[name.toLowerCase()] = values.join(", ");
+    }
+  });
+  return headers;
+}
+
+function getQuery(event, isV2) {
+  if (isV2) {
+    return typeof event.rawQueryString === "string"
+      ? parseQuery(`?${event.rawQueryString}`)
+      : { ...(event.queryStringParameters || {}) };
+  }
+
+  const query = { ...(event.queryStringParameters || {}) };
+  Object.keys(event.multiValueQueryStringParameters || {}).forEach((name) => {
+    const values = event.multiValueQueryStringParameters[name];
+    query[name] = values.length === 1 ? values[0] : values;
+  });
+  return query;
+}
+
+function getBody(event, headers) {
+  if (event.body === undefined || event.body === null) {
+    return undefined;
+  }
+
+  const body = event.isBase64Encoded
+    ? Buffer.from(event.body, "base64").toString("utf-8")
+    : event.body;
+  const contentType = (headers["content-type"] || "").split(";")[0].trim();
+
+  if (/^application\/(.+\+)?json$/i.test(contentType) && body !== "") {
+    return JSON.parse(body);
+  }
+  // repeated fields become arrays, as in query strings
+  if (/^application\/x-www-form-urlencoded$/i.test(contentType)) {
+    return parseQuery(`?${body}`);
+  }
+  return body;
+}
+
+function toProxyResponse(err, body) {
+  const headers = {
+    "Content-Type": getErrorContentType(err),
+  };
+  if (err.allow) {
+    headers.Allow = err.allow.join(", ");
+  }
+  return {
+    statusCode: err.status,
+    headers,
+    body: JSON.stringify(body),
+  };
+}
+
+module.exports = {
+  createLambdaValidator,
+  toValidatorRequest,
+};
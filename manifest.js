@@ -0,0 +1,136 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const MANIFEST_FILE = ".openapi-request-validator.json";
+const GENERATOR = "openapi-request-validator-generator";
+
+function hash(content) {
+  return crypto.createHash("sha256").update(content).digest("hex");
+}
+
+function readManifest(dir) {
+  const file = path.join(dir, MANIFEST_FILE);
+  if (!fs.existsSync(file)) {
+    if (fs.existsSync(dir) && fs.readdirSync(dir).length) {
+      throw new Error(
+        `${dir} is not empty and has no ${MANIFEST_FILE}, refusing to write generated code into it`
+      );
+    }
+    return { generator: GENERATOR, specs: {} };
+  }
+  const manifest = JSON.parse(fs.readFileSync(file, "utf-8"));
+  if (manifest.generator !== GENERATOR || !manifest.specs) {
+    throw new Error(`${file} is not a ${GENERATOR} manifest`);
+  }
+  return manifest;
+}
+
+// Tracks the files generated for one spec, so that only changed files are
+// written and only files generated before for the spec are deleted.
+function createOutput(dir, specName) {
+  const manifest = readManifest(dir);
+  const previous = manifest.specs[specName] || { files: {}, operations: {} };
+  const contents = {};
+  const hashes = {};
+  const operations = {};
+
+  function isIntact(name) {
+    const file = path.join(dir, name);
+    return (
+      previous.files.hasOwnProperty(name) &&
+      fs.existsSync(file) &&
+      hash(fs.readFileSync(file)) === previous.files[name]
+    );
+  }
+
+  function addFile(name, content) {
+    contents[name] = content;
+    hashes[name] = hash(content);
+  }
+
+  function isOwnedByOtherSpec(name) {
+    return Object.keys(manifest.specs).some(
+      (spec) => spec !== specName && manifest.specs[spec].files[name]
+    );
+  }
+
+  function getChanges() {
+    const written = Object.keys(contents).filter((name) => {
+      const file = path.join(dir, name);
+      return (
+        !fs.existsSync(file) || hash(fs.readFileSync(file)) !== hashes[name]
+      );
+    });
+    const deleted = Object.keys(previous.files).filter(
+      (name) =>
+        !hashes.hasOwnProperty(name) &&
+        !isOwnedByOtherSpec(name) &&
+        fs.existsSync(path.join(dir, name))
+    );
+    return { written: written.sort(), deleted: deleted.sort() };
+  }
+
+  return {
+    // keeps the files of an operation whose inputs did not change
+    reuseOperation(fileName, inputHash) {
+      const operation = previous.operations[fileName];
+      if (
+        !operation ||
+        operation.inputHash !== inputHash ||
+        !operation.files.every(isIntact)
+      ) {
+        return false;
+      }
+      operation.files.forEach((name) => {
+        hashes[name] = previous.files[name];
+      });
+      operations[fileName] = operation;
+      return true;
+    },
+    addOperation(fileName, inputHash, files) {
+      Object.keys(files).forEach((name) => addFile(name, files[name]));
+      operations[fileName] = { inputHash, files: Object.keys(files).sort() };
+    },
+    addFile,
+    getChanges,
+    commit() {
+      const changes = getChanges();
+      fs.mkdirSync(dir, { recursive: true });
+      changes.written.forEach((name) => {
+        fs.writeFileSync(path.join(dir, name), contents[name], "utf-8");
+      });
+      changes.deleted.forEach((name) => {
+        fs.rmSync(path.join(dir, name), { force: true });
+      });
+      manifest.specs[specName] = {
+        files: sortKeys(hashes),
+        operations: sortKeys(operations),
+      };
+      fs.writeFileSync(
+        path.join(dir, MANIFEST_FILE),
+        JSON.stringify(manifest, null, 2) + "\n",
+        "utf-8"
+      );
+      return changes;
+    },
+  };
+}
+
+function sortKeys(object) {
+  const sorted = {};
+  Object.keys(object)
+    .sort()
+    .forEach((key) => {
+      sorted[key] = object[key];
+    });
+  return sorted;
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  createOutput,
+  hash,
+};
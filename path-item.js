@@ -0,0 +1,33 @@
+"use strict";
+
+const HTTP_METHODS = [
+  "get",
+  "put",
+  "post",
+  "delete",
+  "options",
+  "head",
+  "patch",
+  "trace",
+];
+
+function mergeParameters(pathItemParameters, operationParameters) {
+  if (!pathItemParameters) {
+    return operationParameters;
+  }
+  // operation parameters override path item parameters with the same name and location
+  const overridden = (operationParameters || []).map(
+    (parameter) => `${parameter.in}:${parameter.name}`
+  );
+  return pathItemParameters
+    .filter(
+      (parameter) =>
+        overridden.indexOf(`${parameter.in}:${parameter.name}`) === -1
+    )
+    .concat(operationParameters || []);
+}
+
+module.exports = {
+  HTTP_METHODS,
+  mergeParameters,
+};
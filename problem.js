@@ -0,0 +1,87 @@
+"use strict";
+
+const PROBLEM_CONTENT_TYPE = "application/problem+json";
+
+// Converts the { status, errors } results of validators, routers and adapters
+// into RFC 7807 problem details. The errors extension lists each failure with
+// a JSON pointer to the offending value of the request. The generated code
+// includes this function, so it must not depend on anything else.
+function toProblemDetails(err, instance) {
+  const titles = {
+    400: "Bad Request",
+    401: "Unauthorized",
+    403: "Forbidden",
+    404: "Not Found",
+    405: "Method Not Allowed",
+    413: "Content Too Large",
+    415: "Unsupported Media Type",
+    422: "Unprocessable Content",
+  };
+  const { status, errors = [], ...members } = err;
+  const problemErrors = errors.map((error) => {
+    // the schemas of missing bodies are left out
+    const { schema, ...problemError } = error;
+    if (
+      problemError.pointer === undefined &&
+      typeof problemError.location === "string"
+    ) {
+      const member =
+        { path: "params", formData: "body" }[problemError.location] ||
+        problemError.location;
+      // paths are the escaped tokens of the pointer, joined by dots
+      problemError.pointer = [member]
+        .concat(problemError.path ? String(problemError.path).split(".") : [])
+        .map((token) => `/${token}`)
+        .join("");
+    }
+    return problemError;
+  });
+
+  const problem = {
+    type: "about:blank",
+    title: titles[status] || "Error",
+    status,
+    detail: problemErrors
+      .map((error) =>
+        error.pointer ? `${error.pointer} ${error.message}` : error.message
+      )
+      .join("; "),
+  };
+  if (instance !== undefined) {
+    problem.instance = instance;
+  }
+  return { ...problem, ...members, errors: problemErrors };
+}
+
+function isProblemDetails(err) {
+  return (
+    !!err &&
+    typeof err.type === "string" &&
+    typeof err.title === "string" &&
+    typeof err.status === "number"
+  );
+}
+
+// the problem details of any error of an adapter, with the url of its request
+function formatProblemDetails(err, instance) {
+  if (!isProblemDetails(err)) {
+    return toProblemDetails(err, instance);
+  }
+  return err.instance === undefined && instance !== undefined
+    ? { ...err, instance }
+    : err;
+}
+
+function checkErrorFormat(errorFormat, loggingKey = "") {
+  if (errorFormat !== undefined && errorFormat !== "problem") {
+    throw new Error(`${loggingKey}unsupported errorFormat ${errorFormat}`);
+  }
+}
+
+module.exports = {
+  PROBLEM_CONTENT_TYPE,
+  toProblemDetails,
+  isProblemDetails,
+  formatProblemDetails,
+  checkErrorFormat,
+};
@@ -0,0 +1,222 @@
+"use strict";
+
+const TEMPLATE_PARAM_REGEXP = /\{([^}]+)\}/g;
+
+// Routers with the problem errorFormat return the problem details of
+// toProblemDetails(err, url) for unknown paths and methods.
+function createRouter({
+  servers = [],
+  routes = [],
+  errorFormat,
+  toProblemDetails,
+}) {
+  const basePaths = servers
+    .map(toBasePath)
+    .filter((basePath) => basePath !== "")
+    .sort((a, b) => b.length - a.length);
+  const compiledRoutes = routes
+    .map(compileRoute)
+    .sort((a, b) => a.paramNames.length - b.paramNames.length);
+
+  function match(method, url) {
+    const path = stripBasePath(normalizePath(url), basePaths);
+    const requestMethod = String(method).toLowerCase();
+    const allowedMethods = [];
+    // HEAD requests are served by the GET operation unless the spec has a
+    // HEAD operation, as Express, Koa and Fastify do
+    let getMatch;
+
+    for (const route of compiledRoutes) {
+      const matches = route.regexp.exec(path);
+      if (!matches) {
+        continue;
+      }
+      if (route.method !== requestMethod) {
+        if (route.method === "get" && !getMatch) {
+          getMatch = { route, matches };
+        }
+        allowedMethods.push(route.method.toUpperCase());
+        continue;
+      }
+      return toMatch(route, matches);
+    }
+
+    if (requestMethod === "head" && getMatch) {
+      return toMatch(getMatch.route, getMatch.matches);
+    }
+    if (getMatch && allowedMethods.indexOf("HEAD") === -1) {
+      allowedMethods.splice(allowedMethods.indexOf("GET") + 1, 0, "HEAD");
+    }
+    if (allowedMethods.length) {
+      return {
+        status: 405,
+        allow: allowedMethods,
+        errors: [
+          {
+            message: `Method ${String(
+              method
+            ).toUpperCase()} is not allowed for ${path}`,
+          },
+        ],
+      };
+    }
+
+    return {
+      status: 404,
+      errors: [
+        {
+          message: `No operation matches ${path}`,
+        },
+      ],
+    };
+  }
+
+  function find(method, resource) {
+    const template = toTemplate(
+      stripBasePath(normalizePath(resource), basePaths)
+    );
+    return compiledRoutes.find(
+      (route) =>
+        route.method === String(method).toLowerCase() &&
+        route.template === template
+    );
+  }
+
+  function resolve(method, { resource, path, params = {} }) {
+    const route = resource && find(method, resource);
+    if (route) {
+      // The caller and the OAS may name the same path segment differently.
+      const names = templateParamNames(resource);
+      const routeParams = {};
+      route.paramNames.forEach((name, i) => {
+        routeParams[name] = params[names[i]];
+      });
+      return { route, params: routeParams };
+    }
+    return match(method, path || "");
+  }
+
+  function validateRequest(request, options) {
+    const url = request.url || request.path || "";
+    const result = match(request.method, url);
+    if (!result.route) {
+      return errorFormat === "problem" ? toProblemDetails(result, url) : result;
+    }
+
+    return result.route.validateRequest(
+      {
+        ...request,
+        params: result.params,
+        query: request.query || parseQuery(url),
+      },
+      // parameters parsed from urls are strings
+      { ...options, coerceParameters: true }
+    );
+  }
+
+  validateRequest.match = match;
+  validateRequest.find = find;
+  validateRequest.resolve = resolve;
+  validateRequest.routes = routes;
+  validateRequest.errorFormat = errorFormat;
+
+  return validateRequest;
+}
+
+function toMatch(route, matches) {
+  const params = {};
+  route.paramNames.forEach((name, i) => {
+    params[name] = safeDecodeURIComponent(matches[i + 1]);
+  });
+  return { route, params };
+}
+
+function compileRoute(route) {
+  const paramNames = [];
+  const pattern = normalizePath(route.resource)
+    .split(TEMPLATE_PARAM_REGEXP)
+    .map((part, i) => {
+      if (i % 2) {
+        paramNames.push(part);
+        return "([^/]+)";
+      }
+      return escapeRegExp(part);
+    })
+    .join("");
+
+  return {
+    ...route,
+    method: route.method.toLowerCase(),
+    paramNames,
+    template: toTemplate(normalizePath(route.resource)),
+    regexp: new RegExp(`^${pattern}$`),
+  };
+}
+
+function templateParamNames(resource) {
+  const names = [];
+  resource.replace(TEMPLATE_PARAM_REGEXP, (_, name) => names.push(name));
+  return names;
+}
+
+function toTemplate(path) {
+  return path.replace(TEMPLATE_PARAM_REGEXP, "{}");
+}
+
+function toBasePath(serverUrl) {
+  const withoutOrigin = serverUrl.replace(/^[a-z][a-z0-9+.-]*:\/\/[^/]*/i, "");
+  return escapeRegExp(normalizePath(withoutOrigin))
+    .replace(/\{[^}]+\}/g, "[^/]+")
+    .replace(/^\/$/, "");
+}
+
+function stripBasePath(path, basePaths) {
+  for (const basePath of basePaths) {
+    const matches = new RegExp(`^${basePath}(?=/|$)`).exec(path);
+    if (matches) {
+      return path.slice(matches[0].length) || "/";
+    }
+  }
+  return path;
+}
+
+function normalizePath(url) {
+  const path = url.split(/[?#]/)[0];
+  const withLeadingSlash = path.charAt(0) === "/" ? path : `/${path}`;
+  return withLeadingSlash.length > 1
+    ? withLeadingSlash.replace(/\/+$/, "")
+    : withLeadingSlash;
+}
+
+function parseQuery(url) {
+  const index = url.indexOf("?");
+  const query = {};
+  if (index === -1) {
+    return query;
+  }
+  new URLSearchParams(url.slice(index + 1).split("#")[0]).forEach(
+    (value, key) => {
+      if (query.hasOwnProperty(key)) {
+        query[key] = [].concat(query[key], value);
+      } else {
+        query[key] = value;
+      }
+    }
+  );
+  return query;
+}
+
+function escapeRegExp(string) {
+  return string.replace(/[.*+?^$()|[\]\\]/g, "\\$&");
+}
+
+function safeDecodeURIComponent(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (e) {
+    return value;
+  }
+}
+
+module.exports = createRouter;
+module.exports.parseQuery = parseQuery;
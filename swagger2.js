@@ -0,0 +1,227 @@
+"use strict";
+
+const { HTTP_METHODS, mergeParameters } = require("./path-item");
+
+const PARAMETER_SCHEMA_KEYWORDS = [
+  "type",
+  "format",
+  "items",
+  "default",
+  "maximum",
+  "exclusiveMaximum",
+  "minimum",
+  "exclusiveMinimum",
+  "maxLength",
+  "minLength",
+  "pattern",
+  "maxItems",
+  "minItems",
+  "uniqueItems",
+  "enum",
+  "multipleOf",
+];
+const COLLECTION_FORMAT_STYLES = {
+  ssv: "spaceDelimited",
+  tsv: "tabDelimited",
+  pipes: "pipeDelimited",
+};
+const DEFAULT_MEDIA_TYPE = "application/json";
+
+// Converts a dereferenced Swagger 2.0 document into the OpenAPI 3.0 shape the
+// validators are generated from.
+function convertSwagger2(swagger) {
+  const paths = {};
+  Object.keys(swagger.paths || {}).forEach((resource) => {
+    const pathItem = swagger.paths[resource];
+    paths[resource] = getExtensions(pathItem);
+    HTTP_METHODS.filter((method) => pathItem[method]).forEach((method) => {
+      paths[resource][method] = convertOperation(
+        swagger,
+        pathItem[method],
+        mergeParameters(pathItem.parameters, pathItem[method].parameters) || []
+      );
+    });
+  });
+
+  return {
+    ...getExtensions(swagger),
+    openapi: "3.0.0",
+    info: swagger.info,
+    servers: swagger.basePath ? [{ url: swagger.basePath }] : [],
+    security: swagger.security,
+    paths,
+    components: {
+      schemas: swagger.definitions || {},
+      securitySchemes: convertSecurityDefinitions(
+        swagger.securityDefinitions || {}
+      ),
+    },
+  };
+}
+
+// vendor extensions configure the validators
+function getExtensions(object) {
+  const extensions = {};
+  Object.keys(object)
+    .filter((key) => /^x-/.test(key))
+    .forEach((key) => {
+      extensions[key] = object[key];
+    });
+  return extensions;
+}
+
+function convertOperation(swagger, operation, parameters) {
+  const consumes = operation.consumes || swagger.consumes || [];
+  const produces = operation.produces || swagger.produces || [];
+  const converted = {
+    ...operation,
+    parameters: parameters
+      .filter((parameter) => ["body", "formData"].indexOf(parameter.in) === -1)
+      .map(convertParameter),
+    responses: convertResponses(operation.responses || {}, produces),
+  };
+  delete converted.consumes;
+  delete converted.produces;
+
+  const requestBody = getRequestBody(parameters, consumes);
+  if (requestBody) {
+    converted.requestBody = requestBody;
+  }
+  return converted;
+}
+
+function convertParameter(parameter) {
+  const converted = {
+    name: parameter.name,
+    in: parameter.in,
+    required: !!parameter.required,
+    schema: getParameterSchema(parameter),
+  };
+  if (parameter.type === "array") {
+    Object.assign(converted, getCollectionFormatStyle(parameter));
+  }
+  return converted;
+}
+
+function getParameterSchema(parameter) {
+  if (parameter.type === "file") {
+    return { type: "string", format: "binary" };
+  }
+  const schema = {};
+  PARAMETER_SCHEMA_KEYWORDS.forEach((keyword) => {
+    if (parameter.hasOwnProperty(keyword)) {
+      schema[keyword] = parameter[keyword];
+    }
+  });
+  if (schema.items) {
+    schema.items = getParameterSchema(schema.items);
+  }
+  return schema;
+}
+
+function getCollectionFormatStyle(parameter) {
+  const collectionFormat = parameter.collectionFormat || "csv";
+  if (collectionFormat === "multi") {
+    return { style: "form", explode: true };
+  }
+  return {
+    style:
+      COLLECTION_FORMAT_STYLES[collectionFormat] ||
+      (parameter.in === "path" || parameter.in === "header"
+        ? "simple"
+        : "form"),
+    explode: false,
+  };
+}
+
+function getRequestBody(parameters, consumes) {
+  const bodyParameter = parameters.find((parameter) => parameter.in === "body");
+  if (bodyParameter) {
+    const mediaTypes = consumes.length ? consumes : [DEFAULT_MEDIA_TYPE];
+    return {
+      required: !!bodyParameter.required,
+      content: toContent(mediaTypes, { schema: bodyParameter.schema || {} }),
+    };
+  }
+
+  const formParameters = parameters.filter(
+    (parameter) => parameter.in === "formData"
+  );
+  if (!formParameters.length) {
+    return;
+  }
+  const hasFiles = formParameters.some(
+    (parameter) => parameter.type === "file"
+  );
+  const formMediaTypes = consumes.filter(
+    (mediaType) =>
+      /^multipart\//i.test(mediaType) ||
+      /^application\/x-www-form-urlencoded/i.test(mediaType)
+  );
+  const mediaTypes = formMediaTypes.length
+    ? formMediaTypes
+    : [hasFiles ? "multipart/form-data" : "application/x-www-form-urlencoded"];
+
+  const schema = { type: "object", properties: {}, required: [] };
+  const encoding = {};
+  formParameters.forEach((parameter) => {
+    schema.properties[parameter.name] = getParameterSchema(parameter);
+    if (parameter.required) {
+      schema.required.push(parameter.name);
+    }
+    if (parameter.type === "array" && parameter.items.type !== "file") {
+      encoding[parameter.name] = getCollectionFormatStyle(parameter);
+    }
+  });
+  if (!schema.required.length) {
+    delete schema.required;
+  }
+
+  return {
+    required: formParameters.some((parameter) => parameter.required),
+    content: toContent(mediaTypes, { schema, encoding }),
+  };
+}
+
+function convertResponses(responses, produces) {
+  const converted = {};
+  Object.keys(responses).forEach((statusCode) => {
+    const response = responses[statusCode];
+    const headers = {};
+    Object.keys(response.headers || {}).forEach((name) => {
+      headers[name] = { schema: getParameterSchema(response.headers[name]) };
+    });
+    converted[statusCode] = {
+      description: response.description,
+      headers,
+      content: response.schema
+        ? toContent(produces.length ? produces : [DEFAULT_MEDIA_TYPE], {
+            schema: response.schema,
+          })
+        : undefined,
+    };
+  });
+  return converted;
+}
+
+function convertSecurityDefinitions(securityDefinitions) {
+  const securitySchemes = {};
+  Object.keys(securityDefinitions).forEach((name) => {
+    const definition = securityDefinitions[name];
+    securitySchemes[name] =
+      definition.type === "basic"
+        ? { type: "http", scheme: "basic" }
+        : definition;
+  });
+  return securitySchemes;
+}
+
+function toContent(mediaTypes, mediaType) {
+  const content = {};
+  mediaTypes.forEach((type) => {
+    content[type] = mediaType;
+  });
+  return content;
+}
+
+module.exports = convertSwagger2;
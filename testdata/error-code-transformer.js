@@ -0,0 +1 @@
+module.exports = (openapiError) => ({ code: openapiError.errorCode });
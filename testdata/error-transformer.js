@@ -0,0 +1,5 @@
+module.exports = (openapiError, ajvError) => ({
+  location: openapiError.location,
+  field: openapiError.path,
+  keyword: ajvError.keyword,
+});
@@ -0,0 +1,3 @@
+module.exports = {
+  petname: (value) => /^[a-z]+$/.test(value),
+};
@@ -0,0 +1,13 @@
+const { _ } = require("ajv");
+
+module.exports = {
+  even: {
+    type: "number",
+    schemaType: "boolean",
+    code: (cxt) => {
+      if (cxt.schema) {
+        cxt.fail(_`${cxt.data} % 2 !== 0`);
+      }
+    },
+  },
+};
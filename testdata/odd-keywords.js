@@ -0,0 +1,14 @@
+const { _ } = require("ajv");
+
+// an "even" keyword that accepts odd numbers instead
+module.exports = {
+  even: {
+    type: "number",
+    schemaType: "boolean",
+    code: (cxt) => {
+      if (cxt.schema) {
+        cxt.fail(_`${cxt.data} % 2 !== 1`);
+      }
+    },
+  },
+};
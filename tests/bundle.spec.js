@@ -0,0 +1,171 @@
+const fs = require("fs");
+const { spawnSync } = require("child_process");
+const generateOASValidationCode = require("../index");
+
+const petstore = __dirname + "/../testdata/petstore.yaml";
+const out = __dirname + "/generated/bundle";
+
+let routes;
+beforeAll(() => {
+  routes = generateOASValidationCode(petstore, out, {
+    bundle: true,
+    coerceTypes: true,
+  });
+});
+
+test("generates one module per spec", () => {
+  expect(fs.readdirSync(out).sort()).toEqual([
+    ".openapi-request-validator.json",
+    "content-type.js",
+    "petstore.d.ts",
+    "petstore.js",
+    "petstore_router.js",
+    "router.js",
+  ]);
+  expect(routes[0]).toEqual({
+    resource: "/pets",
+    method: "get",
+    operationId: "listPets",
+    fileName: "petstore.js",
+    key: "listPets",
+  });
+});
+
+test("exports the validators by operationId", () => {
+  const validators = require("./generated/bundle/petstore");
+  expect(Object.keys(validators)).toEqual(routes.map((route) => route.key));
+
+  const request = { headers: { testheader: "abc" }, query: { limit: "5" } };
+  expect(validators.listPets(request)).toBe(undefined);
+  expect(request.query.limit).toBe(5);
+  expect(
+    validators.createPets({
+      headers: { "content-type": "application/json" },
+      body: { id: "x" },
+    }).errors
+  ).toEqual([
+    {
+      path: "name",
+      errorCode: "required.openapi.requestValidation",
+      message: "must have required property 'name'",
+      location: "body",
+    },
+    {
+      path: "id",
+      errorCode: "type.openapi.requestValidation",
+      message: "must be integer",
+      location: "body",
+    },
+  ]);
+  expect(
+    validators.showPetById.validateResponse({
+      status: 200,
+      headers: { "content-type": "application/json" },
+      body: { id: 1 },
+    }).errors[0].message
+  ).toBe("must have required property 'name'");
+
+  const router = require("./generated/bundle/petstore_router");
+  expect(
+    router({ method: "POST", url: "/v1/pets", headers: {} }).errors[0].message
+  ).toBe("media type is not specified");
+});
+
+test("compiles component schemas and helpers once", () => {
+  const code = fs.readFileSync(`${out}/petstore.js`, "utf-8");
+  // Pet is used by several operations, and compiled once for request bodies
+  // and once for responses
+  const pet =
+    /const schema\d+ = \{"type":"object","required":\["id","name"\],"properties":\{"id":\{"type":"integer","format":"int64"\}/g;
+  expect(code.match(pet).length).toBe(2);
+  expect(code.match(/function toOpenapiValidationError/g).length).toBe(1);
+  expect(code.match(/function getSchemaForMediaType/g).length).toBe(1);
+});
+
+test("keys operations without operationId by method and path", () => {
+  const spec = {
+    openapi: "3.0.0",
+    info: { title: "keys", version: "1.0.0" },
+    paths: {
+      "/items/{id}": {
+        parameters: [
+          {
+            name: "id",
+            in: "path",
+            required: true,
+            schema: { type: "integer" },
+          },
+        ],
+        get: { responses: { 200: { description: "ok" } } },
+      },
+    },
+  };
+  generateOASValidationCode(spec, __dirname + "/generated/bundle-keys", {
+    name: "items",
+    bundle: true,
+    coerceTypes: true,
+  });
+  const validators = require("./generated/bundle-keys/items");
+  expect(
+    validators["GET /items/{id}"]({ params: { id: "x" } }).errors[0].path
+  ).toBe("id");
+
+  spec.paths["/items/{id}"].get.operationId = "getItem";
+  spec.paths["/items/{id}"].put = {
+    operationId: "getItem",
+    responses: { 200: { description: "ok" } },
+  };
+  expect(() =>
+    generateOASValidationCode(spec, __dirname + "/generated/bundle-keys", {
+      name: "items",
+      bundle: true,
+    })
+  ).toThrow("getItem is the key of several operations");
+});
+
+test("bundles ES modules", () => {
+  const esmOut = __dirname + "/generated/bundle-esm";
+  generateOASValidationCode(petstore, esmOut, { bundle: true, format: "esm" });
+  expect(fs.readFileSync(`${esmOut}/petstore.d.mts`, "utf-8")).toContain(
+    `  createPets: ValidateRequest<{
+    body: {
+      id: number;
+      name: string;
+      tag?: string;
+      [key: string]: unknown;
+    };
+    [key: string]: unknown;
+  }>;`
+  );
+
+  const { status, stdout, stderr } = spawnSync(
+    process.execPath,
+    [
+      "--input-type=module",
+      "-e",
+      `import validators from "./petstore.mjs";
+      import router from "./petstore_router.mjs";
+      console.log(JSON.stringify([
+        validators.listPets({ headers: {}, query: {} }).errors[0].message,
+        router({ method: "GET", url: "/v1/pets", headers: { testheader: "abc" } }),
+      ]));`,
+    ],
+    { cwd: esmOut, encoding: "utf-8" }
+  );
+  expect(stderr).toBe("");
+  expect(status).toBe(0);
+  expect(JSON.parse(stdout)).toEqual([
+    "must have required property 'testheader'",
+    null,
+  ]);
+});
+
+test("replaces the files of single operations", () => {
+  const dir = __dirname + "/generated/bundle-switch";
+  generateOASValidationCode(petstore, dir);
+  generateOASValidationCode(petstore, dir, { bundle: true });
+  expect(fs.readdirSync(dir).filter((name) => /_get\.js$/.test(name))).toEqual(
+    []
+  );
+  expect(fs.existsSync(`${dir}/petstore.js`)).toBe(true);
+});
@@ -0,0 +1,95 @@
+const fs = require("fs");
+const { spawnSync } = require("child_process");
+const yaml = require("js-yaml");
+
+const cli = __dirname + "/../cli.js";
+const petstore = __dirname + "/../testdata/petstore.yaml";
+
+function run(...args) {
+  return spawnSync(process.execPath, [cli, ...args], { encoding: "utf-8" });
+}
+
+test("generates validators and prints a summary", () => {
+  const out = __dirname + "/generated/cli";
+  const { status, stdout } = run("--coerce-types", petstore, out);
+  expect(status).toBe(0);
+  expect(stdout).toContain("generated 11 operation validators");
+  expect(stdout).toContain("  GET /pets (listPets) -> petstore_pets_get.js");
+
+  const validateRequest = require("./generated/cli/petstore_pets_get");
+  const request = { headers: { testheader: "abc" }, query: { limit: "5" } };
+  expect(validateRequest(request)).toBe(undefined);
+  expect(request.query.limit).toBe(5);
+});
+
+test("generates several specs into their own directories", () => {
+  const out = __dirname + "/generated/cli-specs";
+  const { status } = run(
+    "--quiet",
+    petstore,
+    __dirname + "/../testdata/petstore-3.1.yaml",
+    out
+  );
+  expect(status).toBe(0);
+  expect(fs.existsSync(`${out}/petstore/petstore_router.js`)).toBe(true);
+  expect(fs.existsSync(`${out}/petstore-3.1/petstore-3.1_router.js`)).toBe(
+    true
+  );
+});
+
+test("generates ES modules", () => {
+  const out = __dirname + "/generated/cli-esm";
+  const { status, stdout } = run("--format", "esm", petstore, out);
+  expect(status).toBe(0);
+  expect(stdout).toContain("  GET /pets (listPets) -> petstore_pets_get.mjs");
+  expect(fs.existsSync(`${out}/petstore_pets_get.d.mts`)).toBe(true);
+});
+
+test("forwards validator options", () => {
+  const spec = yaml.load(fs.readFileSync(petstore, "utf-8"));
+  spec.paths["/pets"].get.parameters.push({
+    name: "name",
+    in: "query",
+    schema: { type: "string", format: "petname" },
+  });
+  const specPath = __dirname + "/generated/cli-options.yaml";
+  fs.writeFileSync(specPath, yaml.dump(spec), "utf-8");
+
+  const { status } = run(
+    "--no-additional-query-properties",
+    "--custom-formats",
+    __dirname + "/../testdata/formats.js",
+    "--error-transformer",
+    __dirname + "/../testdata/error-transformer.js",
+    specPath,
+    __dirname + "/generated/cli-options"
+  );
+  expect(status).toBe(0);
+  const validateRequest = require("./generated/cli-options/cli-options_pets_get");
+  expect(
+    validateRequest({
+      headers: { testheader: "abc" },
+      query: { name: "Rex", color: "black" },
+    }).errors
+  ).toEqual([
+    { location: "query", keyword: "additionalProperties" },
+    { location: "query", field: "name", keyword: "format" },
+  ]);
+});
+
+test("exits with 1 on spec errors", () => {
+  const { status, stderr } = run(
+    __dirname + "/../testdata/circular.yaml",
+    __dirname + "/generated/cli-circular"
+  );
+  expect(status).toBe(1);
+  expect(stderr).toMatch(/circular\.yaml: Circular \$ref/);
+});
+
+test("exits with 2 on usage errors", () => {
+  expect(run(petstore).status).toBe(2);
+  expect(run("--format", "amd", petstore, "out").stderr).toContain(
+    "unsupported --format amd"
+  );
+  expect(run("--help").status).toBe(0);
+});
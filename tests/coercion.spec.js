@@ -0,0 +1,90 @@
+const generateOASValidationCode = require("../index");
+
+beforeAll(() => {
+  generateOASValidationCode(
+    __dirname + "/../testdata/petstore.yaml",
+    __dirname + "/generated/coercion",
+    { coerceTypes: true }
+  );
+});
+
+test("coerces query strings and writes them back", () => {
+  const validator = require("./generated/coercion/petstore_pets_get");
+  const request = {
+    headers: { testheader: "abc" },
+    query: { limit: "50", archived: "true", tags: "cat,dog" },
+  };
+  expect(validator(request)).toBe(undefined);
+  expect(request.query).toEqual({
+    limit: 50,
+    archived: true,
+    tags: ["cat", "dog"],
+  });
+});
+
+test("builds arrays from repeated and single values", () => {
+  const validator = require("./generated/coercion/petstore_pets_get");
+  const repeated = {
+    headers: { testheader: "abc" },
+    query: { tags: ["cat", "dog"] },
+  };
+  const single = { headers: { testheader: "abc" }, query: { tags: "cat" } };
+  expect(validator(repeated)).toBe(undefined);
+  expect(validator(single)).toBe(undefined);
+  expect(repeated.query.tags).toEqual(["cat", "dog"]);
+  expect(single.query.tags).toEqual(["cat"]);
+});
+
+test("coerces headers and writes them back", () => {
+  const validator = require("./generated/coercion/petstore_pets_get");
+  const request = { headers: { TestHeader: "abc", "X-Page-Size": "20" } };
+  expect(validator(request)).toBe(undefined);
+  expect(request.headers).toEqual({ TestHeader: "abc", "X-Page-Size": 20 });
+});
+
+test("still reports strings that do not match the schema", () => {
+  const validator = require("./generated/coercion/petstore_pets_get");
+  const result = validator({
+    headers: { testheader: "abc" },
+    query: { limit: "500", archived: "maybe" },
+  });
+  expect(result).toEqual({
+    status: 400,
+    errors: [
+      {
+        errorCode: "maximum.openapi.requestValidation",
+        location: "query",
+        message: "must be <= 100",
+        path: "limit",
+      },
+      {
+        errorCode: "type.openapi.requestValidation",
+        location: "query",
+        message: "must be boolean",
+        path: "archived",
+      },
+    ],
+  });
+});
+
+test("does not coerce request bodies", () => {
+  const validator = require("./generated/coercion/petstore_pets_post");
+  const result = validator({
+    headers: { "content-type": "application/json" },
+    body: { id: "1", name: "abc" },
+  });
+  expect(result.status).toBe(400);
+});
+
+test("does not coerce without the option", () => {
+  generateOASValidationCode(
+    __dirname + "/../testdata/petstore.yaml",
+    __dirname + "/generated/coercion-disabled"
+  );
+  const validator = require("./generated/coercion-disabled/petstore_pets_get");
+  const result = validator({
+    headers: { testheader: "abc" },
+    query: { limit: "50" },
+  });
+  expect(result.errors[0].message).toBe("must be integer");
+});
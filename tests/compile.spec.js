@@ -0,0 +1,103 @@
+const fs = require("fs");
+const yaml = require("js-yaml");
+const generateOASValidationCode = require("../index");
+
+const petstore = __dirname + "/../testdata/petstore.yaml";
+
+test("compiles the validators of a spec in memory", () => {
+  const validators = generateOASValidationCode.compile(petstore, {
+    coerceTypes: true,
+  });
+  expect(Object.keys(validators)).toContain("listPets");
+
+  const request = { headers: { testheader: "abc" }, query: { limit: "5" } };
+  expect(validators.listPets(request)).toBe(undefined);
+  expect(request.query.limit).toBe(5);
+  expect(validators.listPets({ headers: {}, query: {} })).toEqual({
+    status: 400,
+    errors: [
+      {
+        path: "testheader",
+        errorCode: "required.openapi.requestValidation",
+        message: "must have required property 'testheader'",
+        location: "headers",
+      },
+    ],
+  });
+  expect(
+    validators.createPets({
+      headers: { "content-type": "text/plain" },
+      body: "rex",
+    })
+  ).toEqual({
+    status: 415,
+    errors: [{ message: "Unsupported Content-Type text/plain" }],
+  });
+  expect(
+    validators.showPetById.validateResponse({
+      status: 200,
+      headers: { "content-type": "application/json" },
+      body: { id: 1 },
+    }).errors[0].message
+  ).toBe("must have required property 'name'");
+});
+
+test("compiles parsed specs without touching the filesystem", () => {
+  const spec = yaml.load(fs.readFileSync(petstore, "utf-8"));
+  const writeFileSync = jest.spyOn(fs, "writeFileSync");
+  const validators = generateOASValidationCode.compile(spec, {
+    customFormats: __dirname + "/../testdata/formats.js",
+  });
+  expect(writeFileSync).not.toHaveBeenCalled();
+  writeFileSync.mockRestore();
+
+  expect(
+    validators.uploadPetPhoto({
+      headers: { "content-type": "application/x-www-form-urlencoded" },
+      params: { petId: "1" },
+      body: { url: "not a uri" },
+    }).errors[0].message
+  ).toBe('must match format "uri"');
+});
+
+test("keys operations without operationId by method and path", () => {
+  const validators = generateOASValidationCode.compile({
+    openapi: "3.0.0",
+    info: { title: "keys", version: "1.0.0" },
+    paths: {
+      "/items/{id}": {
+        get: {
+          parameters: [
+            {
+              name: "id",
+              in: "path",
+              required: true,
+              schema: { type: "integer" },
+            },
+          ],
+          responses: { 200: { description: "ok" } },
+        },
+      },
+    },
+  });
+  expect(
+    validators["GET /items/{id}"]({ params: { id: "x" } }).errors[0].message
+  ).toBe("must be integer");
+});
+
+test("generates the same validators", () => {
+  const out = __dirname + "/generated/compile";
+  const routes = generateOASValidationCode(petstore, out);
+  const validators = generateOASValidationCode.compile(petstore);
+  const request = {
+    headers: { "content-type": "application/json" },
+    params: { petId: "1" },
+    body: { name: 1, password: "x", id: 1 },
+  };
+  routes.forEach(({ operationId, fileName }) => {
+    const validateRequest = require(`${out}/${fileName}`);
+    expect(
+      validators[operationId](JSON.parse(JSON.stringify(request)))
+    ).toEqual(validateRequest(JSON.parse(JSON.stringify(request))));
+  });
+});
@@ -0,0 +1,47 @@
+const generateOASValidationCode = require("../index");
+
+beforeAll(() => {
+  generateOASValidationCode(
+    __dirname + "/../testdata/petstore.yaml",
+    __dirname + "/generated/cookies",
+    { coerceTypes: true }
+  );
+});
+
+test("parses and validates the Cookie header", () => {
+  const validator = require("./generated/cookies/petstore_petssearch_get");
+  expect(
+    validator({ headers: { Cookie: "session=deadbeef; recent=1,2" } })
+  ).toBe(undefined);
+
+  const result = validator({
+    headers: { cookie: 'other=1; session="nope"; recent=1,x' },
+  });
+  expect(result).toEqual({
+    status: 400,
+    errors: [
+      {
+        errorCode: "pattern.openapi.requestValidation",
+        location: "cookies",
+        message: 'must match pattern "^[a-f0-9]{8}$"',
+        path: "session",
+      },
+      {
+        errorCode: "type.openapi.requestValidation",
+        location: "cookies",
+        message: "must be integer",
+        path: "recent.1",
+      },
+    ],
+  });
+});
+
+test("accepts pre-parsed request.cookies", () => {
+  const validator = require("./generated/cookies/petstore_petssearch_get");
+  const request = {
+    headers: { cookie: "session=nope" },
+    cookies: { session: "deadbeef", recent: "3,4" },
+  };
+  expect(validator(request)).toBe(undefined);
+  expect(request.cookies).toEqual({ session: "deadbeef", recent: [3, 4] });
+});
@@ -0,0 +1,104 @@
+const fs = require("fs");
+const { spawnSync } = require("child_process");
+const generateOASValidationCode = require("../index");
+
+const out = __dirname + "/generated/esm";
+
+beforeAll(() => {
+  generateOASValidationCode(__dirname + "/../testdata/petstore.yaml", out, {
+    format: "esm",
+    customFormats: __dirname + "/../testdata/formats.js",
+  });
+});
+
+function runModule(source) {
+  return spawnSync(process.execPath, ["--input-type=module", "-e", source], {
+    cwd: out,
+    encoding: "utf-8",
+  });
+}
+
+test("generates ES modules with static imports", () => {
+  const files = fs.readdirSync(out);
+  expect(files).toContain("petstore_pets_get.mjs");
+  expect(files).toContain("petstore_router.mjs");
+  expect(files).not.toContain("petstore_pets_get.js");
+
+  const wrapper = fs.readFileSync(`${out}/petstore_pets_get.mjs`, "utf-8");
+  expect(wrapper).not.toMatch(/require\(|__filename|module\.exports/);
+  expect(wrapper).toContain(
+    "import validator0 from './petstore_pets_get_responseValidators_200_applicationjson.mjs';"
+  );
+  const photos = fs.readFileSync(
+    `${out}/petstore_pets{petId}photos_post_requestBodyValidators_applicationx-www-form-urlencoded.mjs`,
+    "utf-8"
+  );
+  expect(photos).toMatch(
+    /^import require0 from "ajv-formats\/dist\/formats\.js";import require1 from "\.\.\/\.\.\/\.\.\/testdata\/formats\.js";/
+  );
+});
+
+test("runs the generated ES modules", () => {
+  const { status, stdout, stderr } = runModule(`
+    import router from "./petstore_router.mjs";
+    import validateRequest, { validateResponse } from "./petstore_pets_get.mjs";
+    console.log(JSON.stringify([
+      router({ method: "GET", url: "/v1/pets", headers: { testheader: "abc" } }),
+      validateRequest({ headers: {}, query: {} }).errors[0].message,
+      typeof validateResponse,
+    ]));
+  `);
+  expect(stderr).toBe("");
+  expect(status).toBe(0);
+  expect(JSON.parse(stdout)).toEqual([
+    null,
+    "must have required property 'testheader'",
+    "function",
+  ]);
+});
+
+test("declares the request shape of each operation", () => {
+  const declarations = fs.readFileSync(
+    `${out}/petstore_pets_post.d.mts`,
+    "utf-8"
+  );
+  expect(declarations).toContain(`export interface Request {
+  body: {
+    id: number;
+    name: string;
+    tag?: string;
+    [key: string]: unknown;
+  };
+  [key: string]: unknown;
+}`);
+  expect(declarations).toContain(`export default function validateRequest(
+  request: Request,
+  options?: ValidateRequestOptions
+): ValidationResult | undefined;`);
+
+  expect(fs.readFileSync(`${out}/petstore_pets{petId}_get.d.mts`, "utf-8"))
+    .toContain(`  headers?: {
+    "x-trace-id"?: string;
+    [name: string]: unknown;
+  };
+  params: {
+    petId: string;
+    [name: string]: unknown;
+  };`);
+});
+
+test("declares CommonJS modules with export =", () => {
+  const cjsOut = __dirname + "/generated/esm-cjs";
+  generateOASValidationCode(__dirname + "/../testdata/petstore.yaml", cjsOut);
+  const declarations = fs.readFileSync(
+    `${cjsOut}/petstore_pets{petId}owner_put.d.ts`,
+    "utf-8"
+  );
+  // readOnly properties are not part of requests
+  expect(declarations).toContain(`    body: {
+      name: string;
+      password: string;
+      [key: string]: unknown;
+    };`);
+  expect(declarations).toContain("export = validateRequest;");
+});
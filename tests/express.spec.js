@@ -0,0 +1,176 @@
+const generateOASValidationCode = require("../index");
+const createExpressMiddleware = require("../express");
+
+let router;
+
+beforeAll(() => {
+  generateOASValidationCode(
+    __dirname + "/../testdata/petstore.yaml",
+    __dirname + "/generated/express"
+  );
+  router = require("./generated/express/petstore_router");
+});
+
+function mockResponse() {
+  return {
+    headers: {},
+    setHeader(name, value) {
+      this.headers[name.toLowerCase()] = value;
+    },
+    end(body) {
+      this.body = body;
+    },
+  };
+}
+
+test("calls next() for a valid request", () => {
+  const middleware = createExpressMiddleware(router);
+  const next = jest.fn();
+  middleware(
+    {
+      method: "GET",
+      path: "/pets",
+      headers: { testheader: "abc" },
+      query: { limit: "10" },
+    },
+    mockResponse(),
+    next
+  );
+  expect(next).toHaveBeenCalledWith();
+});
+
+test("responds with the error status and body", () => {
+  const middleware = createExpressMiddleware(router);
+  const res = mockResponse();
+  const next = jest.fn();
+  middleware({ method: "GET", path: "/pets", headers: {} }, res, next);
+  expect(next).not.toHaveBeenCalled();
+  expect(res.statusCode).toBe(400);
+  expect(res.headers["content-type"]).toBe("application/json");
+  expect(JSON.parse(res.body)).toEqual({
+    status: 400,
+    errors: [
+      {
+        errorCode: "required.openapi.requestValidation",
+        location: "headers",
+        message: "must have required property 'testheader'",
+        path: "testheader",
+      },
+    ],
+  });
+});
+
+test("resolves the operation from req.route", () => {
+  const middleware = createExpressMiddleware(router);
+  const res = mockResponse();
+  const next = jest.fn();
+  middleware(
+    {
+      method: "GET",
+      baseUrl: "/v1",
+      path: "/pets/abc",
+      route: { path: "/pets/:id" },
+      params: { id: "abc" },
+      headers: {},
+    },
+    res,
+    next
+  );
+  expect(next).toHaveBeenCalledWith();
+});
+
+test("formats the response body", () => {
+  const middleware = createExpressMiddleware(router, {
+    formatError: (err, req) => ({
+      message: `Invalid request to ${req.path}`,
+      details: err.errors.map((error) => error.message),
+    }),
+  });
+  const res = mockResponse();
+  middleware({ method: "GET", path: "/pets", headers: {} }, res, jest.fn());
+  expect(JSON.parse(res.body)).toEqual({
+    message: "Invalid request to /pets",
+    details: ["must have required property 'testheader'"],
+  });
+});
+
+test("hands the error to next(err)", () => {
+  const middleware = createExpressMiddleware(router, { passError: true });
+  const res = mockResponse();
+  const next = jest.fn();
+  middleware({ method: "GET", path: "/pets", headers: {} }, res, next);
+  expect(res.body).toBe(undefined);
+  expect(next).toHaveBeenCalledWith(expect.objectContaining({ status: 400 }));
+});
+
+test("responds 404 and 405 for unknown operations", () => {
+  const middleware = createExpressMiddleware(router);
+  const notFound = mockResponse();
+  middleware({ method: "GET", url: "/owners?x=1" }, notFound, jest.fn());
+  expect(notFound.statusCode).toBe(404);
+
+  const notAllowed = mockResponse();
+  middleware({ method: "PUT", path: "/pets" }, notAllowed, jest.fn());
+  expect(notAllowed.statusCode).toBe(405);
+  expect(notAllowed.headers.allow).toBe("GET, HEAD, POST");
+});
+
+test("validates HEAD requests against the GET operation", () => {
+  const middleware = createExpressMiddleware(router);
+  const next = jest.fn();
+  middleware(
+    {
+      method: "HEAD",
+      path: "/pets",
+      route: { path: "/pets" },
+      headers: { testheader: "abc" },
+      query: { limit: "10" },
+    },
+    mockResponse(),
+    next
+  );
+  expect(next).toHaveBeenCalledWith();
+});
+
+test("can skip unknown operations", () => {
+  const middleware = createExpressMiddleware(router, {
+    ignoreUnmatchedRoutes: true,
+  });
+  const next = jest.fn();
+  middleware({ method: "GET", path: "/owners" }, mockResponse(), next);
+  expect(next).toHaveBeenCalledWith();
+});
+
+test("awaits asynchronous security handlers", async () => {
+  generateOASValidationCode(
+    __dirname + "/../testdata/petstore.yaml",
+    __dirname + "/generated/express-security",
+    { validateSecurity: true }
+  );
+  const middleware = createExpressMiddleware(
+    require("./generated/express-security/petstore_router"),
+    { securityHandlers: { oauth: async (req) => req.headers.user === "rex" } }
+  );
+  const request = (user) => ({
+    method: "POST",
+    path: "/pets",
+    headers: {
+      "content-type": "application/json",
+      authorization: "Bearer token",
+      user,
+    },
+    body: { id: 1, name: "abc" },
+  });
+
+  const res = mockResponse();
+  await new Promise((resolve) => {
+    res.end = resolve;
+    middleware(request("fido"), res, resolve);
+  });
+  expect(res.statusCode).toBe(403);
+
+  const next = await new Promise((resolve) =>
+    middleware(request("rex"), mockResponse(), (...args) => resolve(args))
+  );
+  expect(next).toEqual([]);
+});
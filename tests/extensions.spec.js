@@ -0,0 +1,139 @@
+const fs = require("fs");
+const generateOASValidationCode = require("../index");
+
+const out = __dirname + "/generated/extensions";
+
+const spec = {
+  openapi: "3.0.3",
+  info: { title: "extensions", version: "1.0.0" },
+  "x-coerce": true,
+  "x-max-body-bytes": 64,
+  paths: {
+    "/health": {
+      get: {
+        operationId: "getHealth",
+        "x-validation": { skip: true },
+        parameters: [
+          { name: "x-token", in: "header", required: true, schema: {} },
+        ],
+        responses: { 200: { description: "ok" } },
+      },
+    },
+    "/items": {
+      "x-additional-query-properties": false,
+      get: {
+        operationId: "listItems",
+        "x-error-status": 422,
+        parameters: [
+          { name: "limit", in: "query", schema: { type: "integer" } },
+        ],
+        responses: { 200: { description: "ok" } },
+      },
+      post: {
+        operationId: "createItem",
+        "x-max-body-bytes": 16,
+        requestBody: {
+          content: { "application/json": { schema: { type: "object" } } },
+        },
+        responses: { 201: { description: "created" } },
+      },
+    },
+  },
+};
+
+const jsonHeaders = { "content-type": "application/json" };
+
+test("skips the validation of operations with x-validation", () => {
+  generateOASValidationCode(spec, out, { name: "extensions" });
+  expect(
+    fs
+      .readdirSync(out)
+      .filter((file) => /^extensions_health_get/.test(file))
+      .sort()
+  ).toEqual(["extensions_health_get.d.ts", "extensions_health_get.js"]);
+
+  const getHealth = require(`${out}/extensions_health_get.js`);
+  expect(getHealth({ headers: {} })).toBe(undefined);
+  expect(getHealth.validateResponse({ status: 500 })).toBe(undefined);
+});
+
+test("applies the nearest x- extensions", () => {
+  const validators = generateOASValidationCode.compile(spec);
+
+  const request = { query: { limit: "5" } };
+  expect(validators.listItems(request)).toBe(undefined);
+  expect(request.query.limit).toBe(5);
+  const { status, errors } = validators.listItems({
+    query: { limit: "many", offset: "1" },
+  });
+  expect(status).toBe(422);
+  expect(errors.map((error) => error.errorCode)).toEqual([
+    "additionalProperties.openapi.requestValidation",
+    "type.openapi.requestValidation",
+  ]);
+
+  expect(
+    validators.createItem({ headers: jsonHeaders, body: { name: "hammer" } })
+  ).toEqual({
+    status: 413,
+    errors: [
+      { message: "Request body is larger than 16 bytes", location: "body" },
+    ],
+  });
+  expect(
+    validators.createItem({
+      headers: { ...jsonHeaders, "content-length": "12" },
+      body: { name: "hammer" },
+    })
+  ).toBe(undefined);
+});
+
+test("lets options of operations override x- extensions", () => {
+  const validators = generateOASValidationCode.compile(spec, {
+    coerceTypes: false,
+    operations: {
+      "GET /items": { errorStatus: 400 },
+      createItem: { maxBodyBytes: 1024 },
+    },
+  });
+  // x-coerce of the spec is nearer than the coerceTypes option
+  expect(validators.listItems({ query: { limit: "5" } })).toBe(undefined);
+  expect(validators.listItems({ query: { limit: "many" } }).status).toBe(400);
+  expect(
+    validators.createItem({ headers: jsonHeaders, body: { name: "hammer" } })
+  ).toBe(undefined);
+});
+
+test("keeps the x- extensions of Swagger 2.0 specs", () => {
+  const validators = generateOASValidationCode.compile({
+    swagger: "2.0",
+    info: { title: "extensions", version: "1.0.0" },
+    "x-validation": { skip: true },
+    paths: {
+      "/items": {
+        get: {
+          operationId: "listItems",
+          parameters: [{ name: "limit", in: "query", type: "integer" }],
+          responses: { 200: { description: "ok" } },
+        },
+      },
+    },
+  });
+  expect(validators.listItems({ query: { limit: "many" } })).toBe(undefined);
+});
+
+test("rejects invalid x- extensions", () => {
+  expect(() =>
+    generateOASValidationCode.compile({
+      ...spec,
+      paths: {
+        "/items": {
+          get: { ...spec.paths["/items"].get, "x-error-status": 200 },
+        },
+      },
+    })
+  ).toThrow('paths["/items"].get.x-error-status must be an HTTP error status');
+  expect(() =>
+    generateOASValidationCode.compile({ ...spec, "x-validation": true })
+  ).toThrow("x-validation must be like { skip: true }");
+});
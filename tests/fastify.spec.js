@@ -0,0 +1,108 @@
+const Fastify = require("fastify");
+const generateOASValidationCode = require("../index");
+const fastifyRequestValidator = require("../fastify");
+
+let router;
+
+beforeAll(() => {
+  generateOASValidationCode(
+    __dirname + "/../testdata/petstore.yaml",
+    __dirname + "/generated/fastify"
+  );
+  router = require("./generated/fastify/petstore_router");
+});
+
+function createApp(options) {
+  const app = Fastify();
+  app.register(fastifyRequestValidator, { router, ...options });
+  app.get("/pets", async () => ({ ok: true }));
+  app.post("/pets", async () => ({ ok: true }));
+  app.get("/pets/:id", async (request) => ({ id: request.params.id }));
+  app.get("/owners", async () => ({ ok: true }));
+  return app;
+}
+
+test("passes valid requests through", async () => {
+  const response = await createApp().inject({
+    method: "POST",
+    url: "/pets",
+    payload: { id: 1, name: "abc" },
+  });
+  expect(response.statusCode).toBe(200);
+  expect(response.json()).toEqual({ ok: true });
+});
+
+test("resolves the operation from the route url", async () => {
+  const response = await createApp().inject({
+    method: "GET",
+    url: "/pets/abc",
+  });
+  expect(response.statusCode).toBe(200);
+  expect(response.json()).toEqual({ id: "abc" });
+});
+
+test("responds with the error status and body", async () => {
+  const response = await createApp().inject({ method: "GET", url: "/pets" });
+  expect(response.statusCode).toBe(400);
+  expect(response.json()).toEqual({
+    status: 400,
+    errors: [
+      {
+        errorCode: "required.openapi.requestValidation",
+        location: "headers",
+        message: "must have required property 'testheader'",
+        path: "testheader",
+      },
+    ],
+  });
+});
+
+test("formats the response body", async () => {
+  const response = await createApp({
+    formatError: (err, request) => ({
+      message: `Invalid request to ${request.url}`,
+    }),
+  }).inject({
+    method: "POST",
+    url: "/pets",
+    payload: { id: "abc", name: "abc" },
+  });
+  expect(response.statusCode).toBe(400);
+  expect(response.json()).toEqual({ message: "Invalid request to /pets" });
+});
+
+test("responds 404 for operations missing from the spec", async () => {
+  const notFound = await createApp().inject({ method: "GET", url: "/owners" });
+  expect(notFound.statusCode).toBe(404);
+
+  const ignored = await createApp({ ignoreUnmatchedRoutes: true }).inject({
+    method: "GET",
+    url: "/owners",
+  });
+  expect(ignored.statusCode).toBe(200);
+});
+
+test("converts the string parameters of urls", async () => {
+  const app = createApp();
+  const valid = await app.inject({
+    method: "GET",
+    url: "/pets?limit=5",
+    headers: { testheader: "abc" },
+  });
+  expect(valid.statusCode).toBe(200);
+
+  const invalid = await app.inject({
+    method: "GET",
+    url: "/pets?limit=500",
+    headers: { testheader: "abc" },
+  });
+  expect(invalid.statusCode).toBe(400);
+  expect(invalid.json().errors).toEqual([
+    {
+      errorCode: "maximum.openapi.requestValidation",
+      location: "query",
+      message: "must be <= 100",
+      path: "limit",
+    },
+  ]);
+});
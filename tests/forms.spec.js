@@ -0,0 +1,142 @@
+const generateOASValidationCode = require("../index");
+
+beforeAll(() => {
+  generateOASValidationCode(
+    __dirname + "/../testdata/petstore.yaml",
+    __dirname + "/generated/forms"
+  );
+});
+
+function validateUpload(request) {
+  const validator = require("./generated/forms/petstore_pets{petId}photos_post");
+  return validator({ params: { petId: "abc" }, ...request });
+}
+
+const multipart = { "content-type": "multipart/form-data; boundary=xyz" };
+const urlencoded = { "content-type": "application/x-www-form-urlencoded" };
+const photo = {
+  fieldname: "photo",
+  mimetype: "image/png",
+  size: 512,
+};
+
+test("accepts multer style fields and files", () => {
+  const request = {
+    headers: multipart,
+    body: { caption: "rex", metadata: '{"width":"10","height":20}' },
+    files: [photo],
+  };
+  expect(validateUpload(request)).toBe(undefined);
+  expect(request.body.metadata).toEqual({ width: 10, height: 20 });
+});
+
+test("accepts files keyed by field name", () => {
+  expect(
+    validateUpload({
+      headers: multipart,
+      files: {
+        photo: { name: "rex.jpg", mimetype: "image/jpeg", data: "jpeg" },
+        thumbnails: [
+          { mimetype: "image/gif", size: 1 },
+          { mimetype: "image/webp", size: 1 },
+        ],
+      },
+    })
+  ).toBe(undefined);
+});
+
+test("checks file presence", () => {
+  const result = validateUpload({
+    headers: multipart,
+    body: { caption: "rex" },
+  });
+  expect(result.errors).toEqual([
+    {
+      errorCode: "required.openapi.requestValidation",
+      location: "body",
+      message: "must have required property 'photo'",
+      path: "photo",
+    },
+  ]);
+});
+
+test("checks file content types, sizes and counts", () => {
+  const result = validateUpload({
+    headers: multipart,
+    file: { ...photo, mimetype: "image/gif", size: 2048 },
+    files: [
+      { fieldname: "thumbnails", mimetype: "text/plain", size: 1 },
+      { fieldname: "thumbnails", mimetype: "image/png", size: 1 },
+      { fieldname: "thumbnails", mimetype: "image/png", size: 1 },
+    ],
+  });
+  expect(result.errors).toEqual([
+    {
+      errorCode: "contentType.openapi.requestValidation",
+      location: "body",
+      message: "must be one of image/png, image/jpeg",
+      path: "photo",
+    },
+    {
+      errorCode: "maxSize.openapi.requestValidation",
+      location: "body",
+      message: "must NOT be larger than 1024 bytes",
+      path: "photo",
+    },
+    {
+      errorCode: "maxItems.openapi.requestValidation",
+      location: "body",
+      message: "must NOT have more than 2 files",
+      path: "thumbnails",
+    },
+    {
+      errorCode: "contentType.openapi.requestValidation",
+      location: "body",
+      message: "must be one of image/*",
+      path: "thumbnails.0",
+    },
+  ]);
+});
+
+test("validates multipart fields", () => {
+  const result = validateUpload({
+    headers: multipart,
+    body: { caption: "a caption that is too long", metadata: "{" },
+    files: [photo],
+  });
+  expect(result.errors.map((error) => error.path)).toEqual([
+    "caption",
+    "metadata",
+  ]);
+});
+
+test("coerces and deserializes urlencoded fields", () => {
+  const request = {
+    headers: urlencoded,
+    body: {
+      url: "http://example.com/rex.png",
+      tags: "cute|small",
+      "size[width]": "10",
+      "size[height]": "20",
+    },
+  };
+  expect(validateUpload(request)).toBe(undefined);
+  expect(request.body).toEqual({
+    url: "http://example.com/rex.png",
+    tags: ["cute", "small"],
+    size: { width: 10, height: 20 },
+  });
+
+  const result = validateUpload({
+    headers: urlencoded,
+    body: { url: "http://example.com", "size[width]": "wide" },
+  });
+  expect(result.errors).toEqual([
+    {
+      errorCode: "type.openapi.requestValidation",
+      location: "body",
+      message: "must be integer",
+      path: "size.width",
+    },
+  ]);
+});
@@ -0,0 +1,87 @@
+const fs = require("fs");
+const yaml = require("js-yaml");
+const generateOASValidationCode = require("../index");
+
+const petstore = yaml.load(
+  fs.readFileSync(__dirname + "/../testdata/petstore.yaml", "utf-8")
+);
+
+function listPets(validateRequest) {
+  return validateRequest({ headers: {}, query: {} }).errors[0].message;
+}
+
+test("accepts .json specs", () => {
+  fs.mkdirSync(__dirname + "/generated", { recursive: true });
+  fs.writeFileSync(
+    __dirname + "/generated/petstore.json",
+    JSON.stringify(petstore),
+    "utf-8"
+  );
+  generateOASValidationCode(
+    __dirname + "/generated/petstore.json",
+    __dirname + "/generated/inputs-json"
+  );
+  expect(listPets(require("./generated/inputs-json/petstore_pets_get"))).toBe(
+    "must have required property 'testheader'"
+  );
+});
+
+test("accepts parsed specs", () => {
+  generateOASValidationCode(petstore, __dirname + "/generated/inputs-object", {
+    name: "petstore",
+  });
+  expect(listPets(require("./generated/inputs-object/petstore_pets_get"))).toBe(
+    "must have required property 'testheader'"
+  );
+  expect(
+    fs.existsSync(__dirname + "/generated/inputs-object/oas_router.js")
+  ).toBe(false);
+});
+
+test("resolves $refs to other files", () => {
+  generateOASValidationCode(
+    __dirname + "/../testdata/multi-file/openapi.yml",
+    __dirname + "/generated/inputs-multi-file"
+  );
+  const createPets = require("./generated/inputs-multi-file/openapi_pets_post");
+  const request = (body) => ({
+    headers: { "content-type": "application/json" },
+    body,
+  });
+  expect(
+    createPets(request({ id: 1, name: "rex", owner: { name: "a" } }))
+  ).toBe(undefined);
+  expect(
+    createPets(request({ id: 1, name: "", owner: {} })).errors.map(
+      (error) => error.path
+    )
+  ).toEqual(["name", "owner.name"]);
+
+  const listPetsFromFiles = require("./generated/inputs-multi-file/openapi_pets_get");
+  expect(listPetsFromFiles({ query: { limit: 101 } }).errors[0].path).toBe(
+    "limit"
+  );
+});
+
+test("reports circular $refs", () => {
+  expect(() =>
+    generateOASValidationCode(
+      __dirname + "/../testdata/circular.yaml",
+      __dirname + "/generated/inputs-circular"
+    )
+  ).toThrow(
+    /^Circular \$ref .*circular\.yaml#\/components\/schemas\/Category -> .*circular\.yaml#\/components\/schemas\/Category$/
+  );
+});
+
+test("reports unresolvable $refs", () => {
+  expect(() =>
+    generateOASValidationCode(
+      {
+        openapi: "3.0.0",
+        paths: { "/pets": { $ref: "./missing.yaml#/pets" } },
+      },
+      __dirname + "/generated/inputs-missing"
+    )
+  ).toThrow(/^Cannot resolve \$ref \.\/missing\.yaml#\/pets in /);
+});
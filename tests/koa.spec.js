@@ -0,0 +1,96 @@
+const Koa = require("koa");
+const inject = require("light-my-request");
+const generateOASValidationCode = require("../index");
+const createKoaMiddleware = require("../koa");
+
+let router;
+
+beforeAll(() => {
+  generateOASValidationCode(
+    __dirname + "/../testdata/petstore.yaml",
+    __dirname + "/generated/koa"
+  );
+  router = require("./generated/koa/petstore_router");
+});
+
+function createApp(options) {
+  const app = new Koa();
+  app.use(async (ctx, next) => {
+    let data = "";
+    for await (const chunk of ctx.req) {
+      data += chunk;
+    }
+    if (data) {
+      ctx.request.body = JSON.parse(data);
+    }
+    await next();
+  });
+  app.use(createKoaMiddleware(router, options));
+  app.use((ctx) => {
+    ctx.body = { ok: true };
+  });
+  return app.callback();
+}
+
+test("passes valid requests through", async () => {
+  const response = await inject(createApp(), {
+    method: "POST",
+    url: "/v1/pets",
+    payload: { id: 1, name: "abc" },
+  });
+  expect(response.statusCode).toBe(200);
+  expect(response.json()).toEqual({ ok: true });
+});
+
+test("responds with the error status and body", async () => {
+  const response = await inject(createApp(), {
+    method: "GET",
+    url: "/pets/abc?limit=1",
+  });
+  expect(response.statusCode).toBe(200);
+
+  const invalid = await inject(createApp(), { method: "GET", url: "/pets" });
+  expect(invalid.statusCode).toBe(400);
+  expect(invalid.json()).toEqual({
+    status: 400,
+    errors: [
+      {
+        errorCode: "required.openapi.requestValidation",
+        location: "headers",
+        message: "must have required property 'testheader'",
+        path: "testheader",
+      },
+    ],
+  });
+});
+
+test("formats the response body", async () => {
+  const response = await inject(
+    createApp({
+      formatError: (err, ctx) => ({
+        message: `Invalid request to ${ctx.path}`,
+      }),
+    }),
+    { method: "POST", url: "/pets", payload: { id: "abc", name: "abc" } }
+  );
+  expect(response.statusCode).toBe(400);
+  expect(response.json()).toEqual({ message: "Invalid request to /pets" });
+});
+
+test("responds 404 and 405 for unknown operations", async () => {
+  const notFound = await inject(createApp(), { method: "GET", url: "/owners" });
+  expect(notFound.statusCode).toBe(404);
+
+  const notAllowed = await inject(createApp(), {
+    method: "DELETE",
+    url: "/pets",
+  });
+  expect(notAllowed.statusCode).toBe(405);
+  expect(notAllowed.headers.allow).toBe("GET, HEAD, POST");
+
+  const ignored = await inject(createApp({ ignoreUnmatchedRoutes: true }), {
+    method: "GET",
+    url: "/owners",
+  });
+  expect(ignored.statusCode).toBe(200);
+});
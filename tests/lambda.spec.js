@@ -0,0 +1,186 @@
+const generateOASValidationCode = require("../index");
+const { createLambdaValidator, toValidatorRequest } = require("../lambda");
+
+let router;
+
+beforeAll(() => {
+  generateOASValidationCode(
+    __dirname + "/../testdata/petstore.yaml",
+    __dirname + "/generated/lambda"
+  );
+  router = require("./generated/lambda/petstore_router");
+});
+
+const v1Event = {
+  resource: "/pets",
+  path: "/pets",
+  httpMethod: "GET",
+  headers: { TestHeader: "abc" },
+  multiValueHeaders: { TestHeader: ["abc"] },
+  queryStringParameters: { limit: "2" },
+  multiValueQueryStringParameters: { limit: ["2"], tag: ["a", "b"] },
+  pathParameters: null,
+  body: null,
+  isBase64Encoded: false,
+};
+
+const v2Event = {
+  version: "2.0",
+  routeKey: "POST /pets",
+  rawPath: "/pets",
+  rawQueryString: "",
+  cookies: ["session=abc"],
+  headers: { "content-type": "application/json" },
+  requestContext: { http: { method: "POST", path: "/pets" } },
+  body: Buffer.from(JSON.stringify({ id: 1, name: "abc" })).toString("base64"),
+  isBase64Encoded: true,
+};
+
+test("converts API Gateway v1 events", () => {
+  expect(toValidatorRequest(v1Event)).toEqual({
+    method: "GET",
+    resource: "/pets",
+    path: "/pets",
+    headers: { testheader: "abc" },
+    query: { limit: "2", tag: ["a", "b"] },
+    params: {},
+    body: undefined,
+  });
+});
+
+test("converts API Gateway v2 events", () => {
+  expect(toValidatorRequest(v2Event)).toEqual({
+    method: "POST",
+    resource: "/pets",
+    path: "/pets",
+    headers: {
+      "content-type": "application/json",
+      cookie: "session=abc",
+    },
+    query: {},
+    params: {},
+    body: { id: 1, name: "abc" },
+  });
+});
+
+test("returns no response for a valid event", () => {
+  const validateEvent = createLambdaValidator(router);
+  const { request, response } = validateEvent(v2Event);
+  expect(response).toBe(undefined);
+  expect(request.body).toEqual({ id: 1, name: "abc" });
+});
+
+test("maps pathParameters to params", () => {
+  const validateEvent = createLambdaValidator(router);
+  const { request, response } = validateEvent({
+    ...v1Event,
+    resource: "/pets/{id}",
+    path: "/pets/abc",
+    pathParameters: { id: "abc" },
+    multiValueQueryStringParameters: null,
+    queryStringParameters: null,
+  });
+  expect(response).toBe(undefined);
+  expect(request.params).toEqual({ petId: "abc" });
+});
+
+test("turns validation errors into a proxy response", () => {
+  const validateEvent = createLambdaValidator(router);
+  const { response } = validateEvent({
+    ...v1Event,
+    headers: {},
+    queryStringParameters: null,
+    multiValueQueryStringParameters: null,
+  });
+  expect(response.statusCode).toBe(400);
+  expect(response.headers).toEqual({ "Content-Type": "application/json" });
+  expect(JSON.parse(response.body)).toEqual({
+    status: 400,
+    errors: [
+      {
+        errorCode: "required.openapi.requestValidation",
+        location: "headers",
+        message: "must have required property 'testheader'",
+        path: "testheader",
+      },
+    ],
+  });
+});
+
+test("parses urlencoded form bodies", () => {
+  const validateEvent = createLambdaValidator(router);
+  const event = {
+    resource: "/pets/{petId}/photos",
+    path: "/pets/abc/photos",
+    httpMethod: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    pathParameters: { petId: "abc" },
+    body: "url=https%3A%2F%2Fexample.com%2Frex.png&tags=a%7Cb",
+  };
+  const { request, response } = validateEvent(event);
+  expect(response).toBe(undefined);
+  expect(request.body).toEqual({
+    url: "https://example.com/rex.png",
+    tags: ["a", "b"],
+  });
+
+  expect(toValidatorRequest({ ...event, body: "a=1&a=2&b=" }).body).toEqual({
+    a: ["1", "2"],
+    b: "",
+  });
+  expect(
+    JSON.parse(validateEvent({ ...event, body: "tags=a" }).response.body).errors
+  ).toEqual([
+    {
+      errorCode: "required.openapi.requestValidation",
+      location: "body",
+      message: "must have required property 'url'",
+      path: "url",
+    },
+  ]);
+});
+
+test("rejects malformed JSON bodies", () => {
+  const validateEvent = createLambdaValidator(router, {
+    formatError: (err) => ({ message: err.errors[0].message }),
+  });
+  const { response } = validateEvent({
+    ...v2Event,
+    body: "{",
+    isBase64Encoded: false,
+  });
+  expect(response.statusCode).toBe(400);
+  expect(JSON.parse(response.body)).toEqual({
+    message: "request.body is not valid JSON",
+  });
+});
+
+test("responds 405 for unknown methods", () => {
+  const validateEvent = createLambdaValidator(router);
+  const { response } = validateEvent({
+    ...v2Event,
+    routeKey: "$default",
+    rawPath: "/pets",
+    requestContext: { http: { method: "DELETE", path: "/pets" } },
+  });
+  expect(response.statusCode).toBe(405);
+  expect(response.headers.Allow).toBe("GET, HEAD, POST");
+});
+
+test("resolves with asynchronous security handlers", async () => {
+  generateOASValidationCode(
+    __dirname + "/../testdata/petstore.yaml",
+    __dirname + "/generated/lambda-security",
+    { validateSecurity: true }
+  );
+  const validateEvent = createLambdaValidator(
+    require("./generated/lambda-security/petstore_router"),
+    { securityHandlers: { oauth: async () => false } }
+  );
+  const { request, response } = await validateEvent({
+    ...v2Event,
+    headers: { ...v2Event.headers, authorization: "Bearer token" },
+  });
+  expect(request.body).toEqual({ id: 1, name: "abc" });
+  expect(response.statusCode).toBe(403);
+});
@@ -0,0 +1,125 @@
+const fs = require("fs");
+const { spawnSync } = require("child_process");
+const yaml = require("js-yaml");
+const generateOASValidationCode = require("../index");
+
+const spec = yaml.load(
+  fs.readFileSync(__dirname + "/../testdata/petstore.yaml", "utf-8")
+);
+const out = __dirname + "/generated/manifest";
+
+function mtimes() {
+  const times = {};
+  fs.readdirSync(out).forEach((name) => {
+    times[name] = fs.statSync(`${out}/${name}`).mtimeMs;
+  });
+  return times;
+}
+
+beforeAll(() => {
+  fs.rmSync(out, { recursive: true, force: true });
+  generateOASValidationCode(spec, out, { name: "petstore" });
+});
+
+test("records the generated files", () => {
+  const manifest = JSON.parse(
+    fs.readFileSync(`${out}/.openapi-request-validator.json`, "utf-8")
+  );
+  const { files, operations } = manifest.specs.petstore;
+  expect(Object.keys(files)).toContain("petstore_pets_get.js");
+  expect(Object.keys(files)).toContain("router.js");
+  expect(operations["petstore_pets_get.js"].files).toEqual([
+    "petstore_pets_get.d.ts",
+    "petstore_pets_get.js",
+    "petstore_pets_get_responseHeaders_200.js",
+    "petstore_pets_get_responseValidators_200_applicationjson.js",
+    "petstore_pets_get_responseValidators_default_applicationjson.js",
+    "petstore_pets_get_validateHeaders.js",
+    "petstore_pets_get_validateQuery.js",
+  ]);
+});
+
+test("rewrites only the operations that changed", () => {
+  const before = mtimes();
+  const changed = JSON.parse(JSON.stringify(spec));
+  changed.paths["/pets"].get.parameters[0].schema.maximum = 50;
+  generateOASValidationCode(changed, out, { name: "petstore" });
+
+  const after = mtimes();
+  const rewritten = Object.keys(after).filter(
+    (name) => after[name] !== before[name]
+  );
+  expect(rewritten.sort()).toEqual([
+    ".openapi-request-validator.json",
+    "petstore_pets_get_validateQuery.js",
+  ]);
+});
+
+test("deletes only its own stale files", () => {
+  fs.writeFileSync(`${out}/notes.txt`, "keep me", "utf-8");
+  const changed = JSON.parse(JSON.stringify(spec));
+  delete changed.paths["/pets"].get;
+  generateOASValidationCode(changed, out, { name: "petstore" });
+
+  expect(fs.existsSync(`${out}/petstore_pets_get.js`)).toBe(false);
+  expect(fs.existsSync(`${out}/petstore_pets_get_validateQuery.js`)).toBe(
+    false
+  );
+  expect(fs.existsSync(`${out}/petstore_pets_post.js`)).toBe(true);
+  expect(fs.readFileSync(`${out}/notes.txt`, "utf-8")).toBe("keep me");
+});
+
+test("regenerates files that were edited", () => {
+  generateOASValidationCode(spec, out, { name: "petstore" });
+  fs.writeFileSync(`${out}/petstore_pets_get.js`, "edited", "utf-8");
+  generateOASValidationCode(spec, out, { name: "petstore" });
+  expect(fs.readFileSync(`${out}/petstore_pets_get.js`, "utf-8")).not.toBe(
+    "edited"
+  );
+});
+
+test("refuses to write into directories it doesn't own", () => {
+  const foreign = __dirname + "/generated/manifest-foreign";
+  fs.rmSync(foreign, { recursive: true, force: true });
+  fs.mkdirSync(foreign, { recursive: true });
+  fs.writeFileSync(`${foreign}/index.js`, "module.exports = 1;", "utf-8");
+  expect(() =>
+    generateOASValidationCode(spec, foreign, { name: "petstore" })
+  ).toThrow("is not empty and has no .openapi-request-validator.json");
+  expect(fs.readdirSync(foreign)).toEqual(["index.js"]);
+});
+
+test("checks whether the output is up to date", () => {
+  generateOASValidationCode(spec, out, { name: "petstore" });
+  const before = mtimes();
+  expect(
+    generateOASValidationCode(spec, out, { name: "petstore", check: true })
+  ).toHaveLength(11);
+
+  const changed = JSON.parse(JSON.stringify(spec));
+  changed.paths["/pets"].get.parameters[0].schema.maximum = 50;
+  delete changed.paths["/pets"].post;
+  expect(() =>
+    generateOASValidationCode(changed, out, { name: "petstore", check: true })
+  ).toThrow(
+    /is out of date with the spec: petstore_pets_get_validateQuery\.js changed, petstore_router\.js changed, petstore_pets_post\.d\.ts is stale, petstore_pets_post\.js is stale/
+  );
+  expect(mtimes()).toEqual(before);
+});
+
+test("exits with 1 from --check when the output is out of date", () => {
+  const cli = __dirname + "/../cli.js";
+  const specPath = __dirname + "/../testdata/petstore.yaml";
+  const checkOut = __dirname + "/generated/manifest-cli";
+  fs.rmSync(checkOut, { recursive: true, force: true });
+  const check = () =>
+    spawnSync(process.execPath, [cli, "--check", specPath, checkOut], {
+      encoding: "utf-8",
+    });
+
+  expect(check().status).toBe(1);
+  generateOASValidationCode(specPath, checkOut);
+  const { status, stdout } = check();
+  expect(status).toBe(0);
+  expect(stdout).toContain("is up to date");
+});
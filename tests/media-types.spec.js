@@ -0,0 +1,68 @@
+const generateOASValidationCode = require("../index");
+
+beforeAll(() => {
+  generateOASValidationCode(
+    __dirname + "/../testdata/petstore.yaml",
+    __dirname + "/generated/media-types"
+  );
+});
+
+function validatePatch(contentType, body) {
+  const validator = require("./generated/media-types/petstore_pets{petId}_patch");
+  return validator({
+    params: { petId: "abc" },
+    headers: { "content-type": contentType },
+    body,
+  });
+}
+
+function validatePut(contentType, body) {
+  const validator = require("./generated/media-types/petstore_pets{petId}_put");
+  return validator({
+    params: { petId: "abc" },
+    headers: { "content-type": contentType },
+    body,
+  });
+}
+
+test("validates every declared media type", () => {
+  expect(validatePatch("application/merge-patch+json", { name: "rex" })).toBe(
+    undefined
+  );
+  expect(
+    validatePatch("application/merge-patch+json", { color: "black" }).errors
+  ).toEqual([
+    {
+      errorCode: "additionalProperties.openapi.requestValidation",
+      location: "body",
+      message: "must NOT have additional properties",
+    },
+  ]);
+  expect(validatePatch("text/plain; charset=utf-8", "rex")).toBe(undefined);
+  expect(validatePatch("text/plain", "a very long name").errors).toEqual([
+    {
+      errorCode: "maxLength.openapi.requestValidation",
+      location: "body",
+      message: "must NOT have more than 10 characters",
+    },
+  ]);
+});
+
+test("falls back to */* for other media types", () => {
+  expect(validatePatch("image/png", Buffer.from("png"))).toBe(undefined);
+});
+
+test("matches +json suffixes against application/json", () => {
+  expect(validatePut("application/vnd.api+json", { id: 1, name: "rex" })).toBe(
+    undefined
+  );
+  expect(validatePut("application/vnd.api+json", { id: 1 }).status).toBe(400);
+});
+
+test("rejects undeclared media types", () => {
+  expect(validatePut("application/xml", "<pet/>")).toEqual({
+    status: 415,
+    errors: [{ message: "Unsupported Content-Type application/xml" }],
+  });
+  expect(validatePut("application/jsonx", {}).status).toBe(415);
+});
@@ -0,0 +1,148 @@
+const fs = require("fs");
+const yaml = require("js-yaml");
+const generateOASValidationCode = require("../index");
+
+const headers = { "content-type": "application/json" };
+
+beforeAll(() => {
+  generateOASValidationCode(
+    __dirname + "/../testdata/petstore-3.1.yaml",
+    __dirname + "/generated/openapi-3.1"
+  );
+});
+
+function validator(name) {
+  return require(`./generated/openapi-3.1/petstore-3.1_${name}`);
+}
+
+test("validates type arrays, const, $defs and unevaluatedProperties", () => {
+  const validateRequest = validator("pets_post");
+  expect(
+    validateRequest({
+      headers,
+      body: {
+        id: 1,
+        name: "rex",
+        tag: null,
+        kind: "pet",
+        owner: { name: "a" },
+      },
+    })
+  ).toBe(undefined);
+  expect(
+    validateRequest({
+      headers,
+      body: { id: 1, name: "rex", tag: 1, kind: "cat", owner: {}, age: 3 },
+    }).errors.map((error) => error.errorCode)
+  ).toEqual([
+    "type.openapi.requestValidation",
+    "const.openapi.requestValidation",
+    "required.openapi.requestValidation",
+    "unevaluatedProperties.openapi.requestValidation",
+  ]);
+});
+
+test("validates prefixItems", () => {
+  const validateRequest = validator("pets{petId}location_put");
+  const request = (coordinates) => ({
+    headers,
+    params: { petId: "abc" },
+    body: { coordinates },
+  });
+  expect(validateRequest(request([52.5, 13.4]))).toBe(undefined);
+  expect(validateRequest(request([100, 13.4, 1])).errors).toEqual([
+    {
+      path: "coordinates.0",
+      errorCode: "maximum.openapi.requestValidation",
+      message: "must be <= 90",
+      location: "body",
+    },
+    {
+      path: "coordinates",
+      errorCode: "items.openapi.requestValidation",
+      message: "must NOT have more than 2 items",
+      location: "body",
+    },
+  ]);
+});
+
+test("follows $dynamicRef into nested schemas", () => {
+  const validateRequest = validator("categories_post");
+  expect(
+    validateRequest({
+      headers,
+      body: { name: "dogs", children: [{ name: "terriers" }] },
+    })
+  ).toBe(undefined);
+  expect(
+    validateRequest({
+      headers,
+      body: {
+        name: "dogs",
+        children: [{ name: "a", children: [{ name: "" }] }],
+      },
+    }).errors
+  ).toEqual([
+    {
+      path: "children.0.children.0.name",
+      errorCode: "minLength.openapi.requestValidation",
+      message: "must NOT have fewer than 1 characters",
+      location: "body",
+    },
+  ]);
+});
+
+test("uses 2020-12 semantics for parameters", () => {
+  const validateRequest = validator("pets_get");
+  expect(
+    validateRequest({ headers: { "x-api-version": "2" }, query: { limit: 99 } })
+  ).toBe(undefined);
+  expect(
+    validateRequest({
+      headers: { "x-api-version": "3" },
+      query: { limit: 100 },
+    }).errors.map((error) => error.errorCode)
+  ).toEqual([
+    "const.openapi.requestValidation",
+    "exclusiveMaximum.openapi.requestValidation",
+  ]);
+});
+
+test("validates component subschemas with an $id", () => {
+  const oas = yaml.load(
+    fs.readFileSync(__dirname + "/../testdata/petstore-3.1.yaml", "utf-8")
+  );
+  const validators = [
+    validator("households_post"),
+    generateOASValidationCode.compile(oas).createHousehold,
+  ];
+  validators.forEach((validateRequest) => {
+    expect(validateRequest({ headers, body: { owner: { name: "a" } } })).toBe(
+      undefined
+    );
+    expect(validateRequest({ headers, body: { owner: {} } }).errors).toEqual([
+      {
+        path: "owner.name",
+        errorCode: "required.openapi.requestValidation",
+        message: "must have required property 'name'",
+        location: "body",
+      },
+    ]);
+  });
+});
+
+test("rejects unsupported JSON Schema dialects", () => {
+  const oas = yaml.load(
+    fs.readFileSync(__dirname + "/../testdata/petstore-3.1.yaml", "utf-8")
+  );
+  oas.jsonSchemaDialect = "https://example.com/dialect";
+  const oasPath = __dirname + "/generated/openapi-3.1-dialect.yaml";
+  fs.mkdirSync(__dirname + "/generated", { recursive: true });
+  fs.writeFileSync(oasPath, yaml.dump(oas), "utf-8");
+  expect(() =>
+    generateOASValidationCode(
+      oasPath,
+      __dirname + "/generated/openapi-3.1-dialect"
+    )
+  ).toThrow("unsupported jsonSchemaDialect https://example.com/dialect");
+});
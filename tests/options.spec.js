@@ -0,0 +1,159 @@
+const fs = require("fs");
+const generateOASValidationCode = require("../index");
+
+const out = __dirname + "/generated/options";
+const testdata = __dirname + "/../testdata";
+
+const spec = {
+  openapi: "3.0.3",
+  info: { title: "options", version: "1.0.0" },
+  paths: {
+    "/counts": {
+      get: {
+        operationId: "listCounts",
+        parameters: [
+          {
+            name: "count",
+            in: "query",
+            schema: { type: "integer", even: true },
+          },
+        ],
+        responses: { 200: { description: "ok" } },
+      },
+      post: {
+        requestBody: {
+          content: {
+            "application/json": {
+              schema: { $ref: "https://example.com/count.json" },
+            },
+          },
+        },
+        responses: { 201: { description: "created" } },
+      },
+    },
+    "/totals": {
+      get: {
+        parameters: [
+          { name: "total", in: "query", schema: { type: "integer" } },
+        ],
+        responses: { 200: { description: "ok" } },
+      },
+    },
+  },
+};
+
+const options = {
+  name: "options",
+  coerceTypes: true,
+  additionalQueryProperties: false,
+  customKeywords: testdata + "/keywords.js",
+  errorTransformer: testdata + "/error-transformer.js",
+  externalSchemas: {
+    "https://example.com/count.json": {
+      type: "object",
+      required: ["count"],
+      properties: { count: { type: "integer", even: true } },
+    },
+  },
+  operations: {
+    listCounts: { additionalQueryProperties: true },
+    "GET /totals": { coerceTypes: false },
+  },
+};
+
+test("generates validators with the error transformer and keywords of modules", () => {
+  generateOASValidationCode(spec, out, options);
+  expect(fs.readFileSync(`${out}/options_counts_get.js`, "utf-8")).toContain(
+    'extendedErrorMapper(require("../../../testdata/error-transformer.js"))'
+  );
+
+  const listCounts = require(`${out}/options_counts_get.js`);
+  expect(listCounts({ query: { count: "4", other: "1" } })).toBe(undefined);
+  expect(listCounts({ query: { count: "3" } })).toEqual({
+    status: 400,
+    errors: [{ location: "query", field: "count", keyword: "even" }],
+  });
+
+  const createCount = require(`${out}/options_counts_post.js`);
+  expect(
+    createCount({
+      headers: { "content-type": "application/json" },
+      body: { count: 5 },
+    })
+  ).toEqual({
+    status: 400,
+    errors: [{ location: "body", field: "count", keyword: "even" }],
+  });
+});
+
+test("applies the options of operations by operationId or method and path", () => {
+  const validators = generateOASValidationCode.compile(spec, options);
+  expect(validators.listCounts({ query: { other: "1" } })).toBe(undefined);
+  expect(validators["GET /totals"]({ query: { total: "1" } }).errors).toEqual([
+    { location: "query", field: "total", keyword: "type" },
+  ]);
+  expect(
+    validators["GET /totals"]({ query: { total: 1, other: "1" } }).errors
+  ).toEqual([{ location: "query", keyword: "additionalProperties" }]);
+  expect(
+    validators["POST /counts"]({
+      headers: { "content-type": "application/json" },
+      body: {},
+    })
+  ).toEqual({
+    status: 400,
+    errors: [{ location: "body", field: "count", keyword: "required" }],
+  });
+});
+
+test("bundles operations with different options", () => {
+  generateOASValidationCode(spec, out + "-bundle", {
+    ...options,
+    bundle: true,
+    operations: {
+      ...options.operations,
+      listCounts: { customKeywords: testdata + "/odd-keywords.js" },
+    },
+  });
+  const validators = require(`${out}-bundle/options.js`);
+  expect(validators.listCounts({ query: { count: "3" } })).toBe(undefined);
+  expect(validators.listCounts({ query: { count: "4" } }).errors).toEqual([
+    { location: "query", field: "count", keyword: "even" },
+  ]);
+  expect(
+    validators["POST /counts"]({
+      headers: { "content-type": "application/json" },
+      body: { count: 4 },
+    })
+  ).toBe(undefined);
+});
+
+test("rejects options of unknown operations and modules that aren't paths", () => {
+  expect(() =>
+    generateOASValidationCode.compile(spec, {
+      ...options,
+      operations: { listCount: { coerceTypes: true } },
+    })
+  ).toThrow(
+    'options.operations["listCount"] matches no operationId, or method and path'
+  );
+  expect(() =>
+    generateOASValidationCode(spec, out + "-values", {
+      ...options,
+      operations: { listCounts: { errorTransformer: () => ({}) } },
+    })
+  ).toThrow(
+    'options.operations["listCounts"].errorTransformer must be the path of a module exporting the error transformer'
+  );
+});
+
+test("compiles validators with the values of module options", () => {
+  const validators = generateOASValidationCode.compile(spec, {
+    ...options,
+    customKeywords: require(testdata + "/keywords.js"),
+    errorTransformer: (openapiError) => ({ path: openapiError.path }),
+  });
+  expect(validators.listCounts({ query: { count: "3" } }).errors).toEqual([
+    { path: "count" },
+  ]);
+});
@@ -0,0 +1,60 @@
+const fs = require("fs");
+const generateOASValidationCode = require("../index");
+
+const dir = __dirname + "/generated/path-item";
+
+beforeAll(() => {
+  generateOASValidationCode(__dirname + "/../testdata/petstore.yaml", dir);
+});
+
+test("only generates validators for operations", () => {
+  const files = fs
+    .readdirSync(dir)
+    .filter((file) => /^petstore_pets\{petId\}_[a-z]+\.js$/.test(file));
+  expect(files.sort()).toEqual([
+    "petstore_pets{petId}_delete.js",
+    "petstore_pets{petId}_get.js",
+    "petstore_pets{petId}_patch.js",
+    "petstore_pets{petId}_put.js",
+  ]);
+});
+
+test("inherits path item parameters", () => {
+  const validator = require("./generated/path-item/petstore_pets{petId}_delete");
+  const result = validator({ params: {} });
+  expect(result.errors).toEqual([
+    {
+      errorCode: "required.openapi.requestValidation",
+      location: "path",
+      message: "must have required property 'petId'",
+      path: "petId",
+    },
+  ]);
+
+  const getValidator = require("./generated/path-item/petstore_pets{petId}_get");
+  expect(
+    getValidator({
+      params: { petId: "abc" },
+      headers: { "x-trace-id": "123456789" },
+    }).errors[0].message
+  ).toBe("must NOT have more than 8 characters");
+});
+
+test("operation parameters override path item parameters", () => {
+  const getValidator = require("./generated/path-item/petstore_pets{petId}_get");
+  expect(getValidator({ params: { petId: "a" } })).toBe(undefined);
+
+  const deleteValidator = require("./generated/path-item/petstore_pets{petId}_delete");
+  expect(
+    deleteValidator({
+      params: { petId: "abc" },
+      headers: { "x-trace-id": "123456789" },
+    })
+  ).toBe(undefined);
+  expect(
+    deleteValidator({
+      params: { petId: "abc" },
+      headers: { "x-trace-id": "a" },
+    }).errors[0].message
+  ).toBe('must match pattern "^[0-9]+$"');
+});
@@ -0,0 +1,209 @@
+const fs = require("fs");
+const generateOASValidationCode = require("../index");
+const createExpressMiddleware = require("../express");
+const { createLambdaValidator } = require("../lambda");
+
+const out = __dirname + "/generated/problem";
+
+const spec = {
+  openapi: "3.0.3",
+  info: { title: "problem", version: "1.0.0" },
+  paths: {
+    "/pets/{petId}": {
+      put: {
+        operationId: "updatePet",
+        parameters: [
+          {
+            name: "petId",
+            in: "path",
+            required: true,
+            schema: { type: "integer" },
+          },
+          {
+            name: "X-Request-Id",
+            in: "header",
+            required: true,
+            schema: { type: "string" },
+          },
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            "application/json": {
+              schema: {
+                type: "object",
+                required: ["name"],
+                properties: {
+                  name: { type: "string" },
+                  "tags/labels": { type: "array", items: { type: "string" } },
+                },
+              },
+            },
+          },
+        },
+        responses: { 200: { description: "updated" } },
+      },
+    },
+  },
+};
+
+const request = {
+  url: "/pets/abc",
+  headers: { "content-type": "application/json" },
+  params: { petId: "abc" },
+  body: { "tags/labels": ["a", 1] },
+};
+
+test("returns problem details with pointers to the invalid values", () => {
+  const validators = generateOASValidationCode.compile(spec, {
+    errorFormat: "problem",
+    coerceTypes: true,
+  });
+  expect(validators.updatePet(request)).toEqual({
+    type: "about:blank",
+    title: "Bad Request",
+    status: 400,
+    detail:
+      "/body/name must have required property 'name'; " +
+      "/body/tags~1labels/1 must be string; " +
+      "/params/petId must be integer; " +
+      "/headers/x-request-id must have required property 'x-request-id'",
+    instance: "/pets/abc",
+    errors: [
+      {
+        path: "name",
+        errorCode: "required.openapi.requestValidation",
+        message: "must have required property 'name'",
+        location: "body",
+        pointer: "/body/name",
+      },
+      {
+        path: "tags~1labels.1",
+        errorCode: "type.openapi.requestValidation",
+        message: "must be string",
+        location: "body",
+        pointer: "/body/tags~1labels/1",
+      },
+      {
+        path: "petId",
+        errorCode: "type.openapi.requestValidation",
+        message: "must be integer",
+        location: "path",
+        pointer: "/params/petId",
+      },
+      {
+        path: "x-request-id",
+        errorCode: "required.openapi.requestValidation",
+        message: "must have required property 'x-request-id'",
+        location: "headers",
+        pointer: "/headers/x-request-id",
+      },
+    ],
+  });
+
+  const { body, ...withoutBody } = request;
+  expect(
+    validators.updatePet({
+      ...withoutBody,
+      headers: { "content-type": "application/json", "x-request-id": "1" },
+      params: { petId: "1" },
+    })
+  ).toEqual({
+    type: "about:blank",
+    title: "Bad Request",
+    status: 400,
+    detail:
+      "/body request.body was not present in the request.  Is a body-parser being used?",
+    instance: "/pets/abc",
+    errors: [
+      {
+        message:
+          "request.body was not present in the request.  Is a body-parser being used?",
+        location: "body",
+        pointer: "/body",
+      },
+    ],
+  });
+});
+
+test("responds with problem details from the router of the spec", () => {
+  generateOASValidationCode(spec, out, {
+    name: "problem",
+    errorFormat: "problem",
+  });
+  expect(
+    fs.readFileSync(`${out}/problem_pets{petId}_put.d.ts`, "utf-8")
+  ).toContain("): validateRequest.ProblemDetails | undefined;");
+  const router = require(`${out}/problem_router.js`);
+  expect(router({ method: "GET", url: "/pets/1" })).toEqual({
+    type: "about:blank",
+    title: "Method Not Allowed",
+    status: 405,
+    detail: "Method GET is not allowed for /pets/1",
+    instance: "/pets/1",
+    allow: ["PUT"],
+    errors: [{ message: "Method GET is not allowed for /pets/1" }],
+  });
+
+  const res = {
+    headers: {},
+    setHeader(name, value) {
+      this.headers[name.toLowerCase()] = value;
+    },
+    end(body) {
+      this.body = body;
+    },
+  };
+  createExpressMiddleware(router)(
+    { method: "GET", originalUrl: "/owners?limit=1", path: "/owners" },
+    res,
+    jest.fn()
+  );
+  expect(res.statusCode).toBe(404);
+  expect(res.headers["content-type"]).toBe("application/problem+json");
+  expect(JSON.parse(res.body)).toMatchObject({
+    title: "Not Found",
+    status: 404,
+    instance: "/owners?limit=1",
+  });
+});
+
+test("converts the errors of adapters with the problem errorFormat", () => {
+  generateOASValidationCode(spec, out + "-default", {
+    name: "problem",
+    coerceTypes: true,
+  });
+  const router = require(`${out}-default/problem_router.js`);
+  const validateEvent = createLambdaValidator(router, {
+    errorFormat: "problem",
+  });
+
+  const { response } = validateEvent({
+    resource: "/pets/{petId}",
+    path: "/pets/1",
+    httpMethod: "PUT",
+    headers: { "X-Request-Id": "1", "Content-Type": "application/json" },
+    pathParameters: { petId: "1" },
+    body: JSON.stringify({ "tags/labels": [1] }),
+  });
+  expect(response.statusCode).toBe(400);
+  expect(response.headers["Content-Type"]).toBe("application/problem+json");
+  expect(JSON.parse(response.body)).toMatchObject({
+    title: "Bad Request",
+    instance: "/pets/1",
+    errors: [
+      { path: "name", pointer: "/body/name" },
+      { path: "tags~1labels.0", pointer: "/body/tags~1labels/0" },
+    ],
+  });
+});
+
+test("rejects unsupported error formats", () => {
+  expect(() =>
+    generateOASValidationCode.compile(spec, { errorFormat: "html" })
+  ).toThrow("unsupported errorFormat html");
+  const router = Object.assign(() => {}, { resolve: () => ({}) });
+  expect(() => createLambdaValidator(router, { errorFormat: "html" })).toThrow(
+    "unsupported errorFormat html"
+  );
+});
@@ -0,0 +1,176 @@
+const generateOASValidationCode = require("../index");
+
+beforeAll(() => {
+  generateOASValidationCode(
+    __dirname + "/../testdata/petstore.yaml",
+    __dirname + "/generated/responses"
+  );
+});
+
+test("validates response bodies and headers", () => {
+  const {
+    validateResponse,
+  } = require("./generated/responses/petstore_pets_get");
+  expect(
+    validateResponse({
+      status: 200,
+      headers: { "Content-Type": "application/json", "x-next": "/pets?page=2" },
+      body: [{ id: 1, name: "rex" }],
+    })
+  ).toBe(undefined);
+  expect(
+    validateResponse({
+      status: 200,
+      headers: { "content-type": "application/json" },
+      body: [{ id: 1 }],
+    })
+  ).toEqual({
+    status: 500,
+    errors: [
+      {
+        errorCode: "required.openapi.responseValidation",
+        location: "body",
+        message: "must have required property 'name'",
+        path: "0.name",
+      },
+    ],
+  });
+});
+
+test("checks required and typed response headers", () => {
+  const {
+    validateResponse,
+  } = require("./generated/responses/petstore_pets{petId}owner_get");
+  expect(
+    validateResponse({
+      status: 200,
+      headers: { "X-Rate-Limit": "10" },
+      body: { id: 1, name: "alex" },
+    })
+  ).toBe(undefined);
+  expect(
+    validateResponse({
+      status: 200,
+      headers: {},
+      body: { id: 1, name: "alex" },
+    }).errors
+  ).toEqual([
+    {
+      errorCode: "required.openapi.responseValidation",
+      location: "headers",
+      message: "must have required property 'x-rate-limit'",
+      path: "x-rate-limit",
+    },
+  ]);
+});
+
+test("picks the response by status code, range and default", () => {
+  const {
+    validateResponse,
+  } = require("./generated/responses/petstore_pets{petId}owner_get");
+  expect(validateResponse({ status: 404 })).toBe(undefined);
+  expect(
+    validateResponse({ statusCode: 500, body: { code: 1, message: "oops" } })
+  ).toBe(undefined);
+  expect(validateResponse({ status: 500, body: { code: 1 } }).errors).toEqual([
+    {
+      errorCode: "required.openapi.responseValidation",
+      location: "body",
+      message: "must have required property 'message'",
+      path: "message",
+    },
+  ]);
+
+  const put = require("./generated/responses/petstore_pets{petId}owner_put");
+  expect(
+    put.validateResponse({
+      status: 201,
+      headers: { "content-type": "text/plain" },
+      body: "created",
+    })
+  ).toBe(undefined);
+  expect(put.validateResponse({ status: 404 })).toEqual({
+    status: 500,
+    errors: [{ message: "No response is defined for status 404" }],
+  });
+});
+
+test("matches the response media type", () => {
+  const put = require("./generated/responses/petstore_pets{petId}owner_put");
+  expect(
+    put.validateResponse({
+      status: 200,
+      headers: { "content-type": "application/xml" },
+      body: "<owner/>",
+    })
+  ).toEqual({
+    status: 500,
+    errors: [{ message: "Unsupported Content-Type application/xml" }],
+  });
+});
+
+test("rejects writeOnly properties in responses", () => {
+  const {
+    validateResponse,
+  } = require("./generated/responses/petstore_pets{petId}owner_get");
+  expect(
+    validateResponse({
+      status: 200,
+      headers: { "x-rate-limit": "10" },
+      body: { id: 1, name: "alex", password: "secret" },
+    }).errors
+  ).toEqual([
+    {
+      errorCode: "writeOnly.openapi.responseValidation",
+      location: "body",
+      message: "is write-only",
+      path: "password",
+    },
+  ]);
+});
+
+test("rejects readOnly properties in requests", () => {
+  const validateRequest = require("./generated/responses/petstore_pets{petId}owner_put");
+  const request = {
+    params: { petId: "abc" },
+    headers: { "content-type": "application/json" },
+  };
+  expect(
+    validateRequest({ ...request, body: { name: "alex", password: "secret" } })
+  ).toBe(undefined);
+  expect(
+    validateRequest({
+      ...request,
+      body: { id: 1, name: "alex", password: "secret" },
+    }).errors
+  ).toEqual([
+    {
+      errorCode: "readOnly.openapi.requestValidation",
+      location: "body",
+      message: "is read-only",
+      path: "id",
+    },
+  ]);
+});
+
+test("passes the response errorCode to error transformers", () => {
+  const validators = generateOASValidationCode.compile(
+    __dirname + "/../testdata/petstore.yaml",
+    {
+      errorFormat: "problem",
+      errorTransformer: __dirname + "/../testdata/error-code-transformer.js",
+    }
+  );
+  expect(
+    validators.listPets.validateResponse({
+      status: 200,
+      headers: { "content-type": "application/json" },
+      body: [{ id: 1 }],
+    }).errors
+  ).toEqual([
+    {
+      code: "required.openapi.responseValidation",
+      pointer: "/body/0/name",
+    },
+  ]);
+});
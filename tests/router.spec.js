@@ -0,0 +1,103 @@
+const generateOASValidationCode = require("../index");
+
+beforeAll(() => {
+  generateOASValidationCode(
+    __dirname + "/../testdata/petstore.yaml",
+    __dirname + "/generated/router"
+  );
+});
+
+test("dispatches to the matching operation validator", () => {
+  const validateRequest = require("./generated/router/petstore_router");
+  const result = validateRequest({
+    method: "GET",
+    url: "/pets?limit=500",
+    headers: {
+      testheader: "abc",
+    },
+  });
+  expect(result).toEqual({
+    status: 400,
+    errors: [
+      {
+        errorCode: "maximum.openapi.requestValidation",
+        location: "query",
+        message: "must be <= 100",
+        path: "limit",
+      },
+    ],
+  });
+  expect(
+    validateRequest({
+      method: "GET",
+      url: "/v1/pets?limit=5",
+      headers: { testheader: "abc" },
+    })
+  ).toBe(undefined);
+});
+
+test("extracts path params from templated paths", () => {
+  const validateRequest = require("./generated/router/petstore_router");
+  expect(validateRequest({ method: "get", path: "/pets/abc" })).toBe(undefined);
+  expect(validateRequest.match("get", "/pets/a%20b").params).toEqual({
+    petId: "a b",
+  });
+});
+
+test("strips server base paths", () => {
+  const validateRequest = require("./generated/router/petstore_router");
+  const result = validateRequest.match("POST", "/v1/pets/");
+  expect(result.route.resource).toBe("/pets");
+  expect(result.route.operationId).toBe("createPets");
+  expect(
+    validateRequest({
+      method: "post",
+      url: "/v1/pets",
+      headers: { "content-type": "application/json" },
+      body: { id: 1, name: "abc" },
+    })
+  ).toBe(undefined);
+});
+
+test("returns 404 when no path matches", () => {
+  const validateRequest = require("./generated/router/petstore_router");
+  expect(validateRequest({ method: "get", url: "/owners" })).toEqual({
+    status: 404,
+    errors: [{ message: "No operation matches /owners" }],
+  });
+});
+
+test("returns 405 when the path matches but the method does not", () => {
+  const validateRequest = require("./generated/router/petstore_router");
+  expect(validateRequest({ method: "delete", url: "/pets" })).toEqual({
+    status: 405,
+    allow: ["GET", "HEAD", "POST"],
+    errors: [{ message: "Method DELETE is not allowed for /pets" }],
+  });
+});
+
+test("serves HEAD requests with the GET operation", () => {
+  const validateRequest = require("./generated/router/petstore_router");
+  expect(validateRequest.match("HEAD", "/pets").route.operationId).toBe(
+    "listPets"
+  );
+  expect(validateRequest.match("HEAD", "/pets/1").params).toEqual({
+    petId: "1",
+  });
+  expect(validateRequest({ method: "head", url: "/pets" }).errors).toEqual([
+    expect.objectContaining({ location: "headers", path: "testheader" }),
+  ]);
+});
+
+test("lists HEAD once in the allow of 405 errors", () => {
+  const createRouter = require("../router");
+  const router = createRouter({
+    routes: [
+      { resource: "/pets", method: "get" },
+      { resource: "/pets", method: "head" },
+      { resource: "/owners", method: "get" },
+    ],
+  });
+  expect(router.match("put", "/pets").allow).toEqual(["GET", "HEAD"]);
+  expect(router.match("put", "/owners").allow).toEqual(["GET", "HEAD"]);
+});
@@ -0,0 +1,125 @@
+const fs = require("fs");
+const generateOASValidationCode = require("../index");
+const createExpressMiddleware = require("../express");
+
+const out = __dirname + "/generated/sanitize";
+
+const spec = {
+  openapi: "3.0.3",
+  info: { title: "sanitize", version: "1.0.0" },
+  paths: {
+    "/pets": {
+      post: {
+        operationId: "createPet",
+        parameters: [
+          {
+            name: "dryRun",
+            in: "query",
+            schema: { type: "boolean", default: false },
+          },
+          { name: "session", in: "cookie", schema: { type: "string" } },
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            "application/json": {
+              schema: {
+                type: "object",
+                required: ["id", "name"],
+                properties: {
+                  id: { type: "integer", readOnly: true },
+                  name: { type: "string" },
+                  tag: { type: "string", default: "none" },
+                },
+              },
+            },
+          },
+        },
+        responses: { 201: { description: "created" } },
+      },
+    },
+  },
+};
+
+const request = {
+  headers: { "content-type": "application/json", cookie: "session=abc" },
+  query: { dryRun: "true" },
+  body: { id: 1, name: "Rex", color: "black" },
+};
+
+test("returns a sanitized copy of valid requests", () => {
+  const validators = generateOASValidationCode.compile(spec, {
+    sanitize: true,
+    coerceTypes: true,
+  });
+  const original = JSON.parse(JSON.stringify(request));
+
+  const result = validators.createPet(request);
+  expect(result.errors).toBe(undefined);
+  expect(result.value).toEqual({
+    headers: request.headers,
+    query: { dryRun: true },
+    cookies: { session: "abc" },
+    body: { name: "Rex", tag: "none", color: "black" },
+  });
+  expect(request).toEqual(original);
+
+  expect(validators.createPet({ ...request, body: { id: 1 } })).toEqual({
+    status: 400,
+    errors: [
+      {
+        path: "name",
+        errorCode: "required.openapi.requestValidation",
+        message: "must have required property 'name'",
+        location: "body",
+      },
+    ],
+  });
+});
+
+test("applies query defaults to requests without a query", () => {
+  const validators = generateOASValidationCode.compile(spec, {
+    sanitize: true,
+  });
+  const { query, ...withoutQuery } = request;
+
+  expect(validators.createPet(withoutQuery).value.query).toEqual({
+    dryRun: false,
+  });
+  expect(withoutQuery.query).toBe(undefined);
+});
+
+test("removes unknown properties with removeAdditional", () => {
+  const validators = generateOASValidationCode.compile(spec, {
+    sanitize: true,
+    coerceTypes: true,
+    removeAdditional: "all",
+  });
+  expect(validators.createPet(request).value.body).toEqual({
+    name: "Rex",
+    tag: "none",
+  });
+});
+
+test("generates sanitizing validators and declarations", () => {
+  generateOASValidationCode(spec, out, {
+    name: "sanitize",
+    sanitize: true,
+    coerceTypes: true,
+  });
+  expect(fs.readFileSync(`${out}/sanitize_pets_post.d.ts`, "utf-8")).toContain(
+    "): validateRequest.SanitizedResult<validateRequest.Request>;"
+  );
+
+  const router = require(`${out}/sanitize_router.js`);
+  const req = { method: "POST", path: "/pets", ...request };
+  const next = jest.fn();
+  createExpressMiddleware(router)(req, {}, next);
+  expect(next).toHaveBeenCalledWith();
+  expect(req.validatedRequest.body).toEqual({
+    name: "Rex",
+    tag: "none",
+    color: "black",
+  });
+  expect(req.body.id).toBe(1);
+});
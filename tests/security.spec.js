@@ -0,0 +1,168 @@
+const generateOASValidationCode = require("../index");
+
+beforeAll(() => {
+  generateOASValidationCode(
+    __dirname + "/../testdata/petstore.yaml",
+    __dirname + "/generated/security",
+    { validateSecurity: true }
+  );
+});
+
+test("operations with an empty security requirement are public", () => {
+  const validator = require("./generated/security/petstore_pets_get");
+  expect(validator({ headers: { testheader: "abc" } })).toBe(undefined);
+});
+
+test("any of the global security requirements is enough", () => {
+  const validator = require("./generated/security/petstore_pets{petId}_get");
+  const params = { petId: "abc" };
+  expect(
+    validator({ params, headers: { Authorization: "Bearer token" } })
+  ).toBe(undefined);
+  expect(validator({ params, query: { api_key: "key" } })).toBe(undefined);
+  expect(
+    validator({ params, headers: { authorization: "Basic dXNlcjpwYXNz" } })
+  ).toEqual({
+    status: 401,
+    errors: [
+      {
+        location: "security",
+        scheme: "bearer",
+        message: "Missing credentials for security scheme bearer",
+      },
+      {
+        location: "security",
+        scheme: "api_key",
+        message: "Missing credentials for security scheme api_key",
+      },
+    ],
+  });
+});
+
+test("all schemes of a security requirement are needed", () => {
+  const validator = require("./generated/security/petstore_pets{petId}_delete");
+  const params = { petId: "abc" };
+  const headers = { authorization: "Basic dXNlcjpwYXNz" };
+  expect(
+    validator({ params, headers: { ...headers, cookie: "session=abc" } })
+  ).toBe(undefined);
+  expect(validator({ params, headers }).errors).toEqual([
+    {
+      location: "security",
+      scheme: "session",
+      message: "Missing credentials for security scheme session",
+    },
+  ]);
+});
+
+test("security is checked before the rest of the request", () => {
+  const validator = require("./generated/security/petstore_pets_post");
+  expect(validator({ headers: {} }).status).toBe(401);
+  expect(
+    validator({
+      headers: {
+        "content-type": "application/json",
+        authorization: "Bearer token",
+      },
+    }).status
+  ).toBe(400);
+});
+
+test("security handlers verify credentials and scopes", () => {
+  const validator = require("./generated/security/petstore_pets_post");
+  const request = {
+    headers: {
+      "content-type": "application/json",
+      authorization: "Bearer token",
+    },
+    body: { id: 1, name: "rex" },
+  };
+  const oauth = jest.fn(
+    (req, scopes) =>
+      req.headers.authorization === "Bearer token" &&
+      scopes.includes("write:pets")
+  );
+  expect(validator(request, { securityHandlers: { oauth } })).toBe(undefined);
+  expect(oauth).toHaveBeenCalledWith(request, ["write:pets"], {
+    type: "oauth2",
+    in: undefined,
+    name: undefined,
+    scheme: undefined,
+  });
+
+  expect(
+    validator(
+      {
+        ...request,
+        headers: { ...request.headers, authorization: "Bearer x" },
+      },
+      { securityHandlers: { oauth } }
+    )
+  ).toEqual({
+    status: 403,
+    errors: [
+      {
+        location: "security",
+        scheme: "oauth",
+        message: "Credentials for security scheme oauth were rejected",
+      },
+    ],
+  });
+});
+
+test("security handlers must return a boolean", () => {
+  const validator = require("./generated/security/petstore_pets_post");
+  const request = {
+    headers: {
+      "content-type": "application/json",
+      authorization: "Bearer token",
+    },
+    body: { id: 1, name: "rex" },
+  };
+  expect(() =>
+    validator(request, { securityHandlers: { oauth: () => "yes" } })
+  ).toThrow("securityHandlers.oauth must return or resolve to a boolean");
+  expect(
+    validator(request, { securityHandlers: { oauth: () => false } }).status
+  ).toBe(403);
+});
+
+test("asynchronous security handlers make the result a promise", async () => {
+  const validator = require("./generated/security/petstore_pets_post");
+  const request = {
+    headers: {
+      "content-type": "application/json",
+      authorization: "Bearer token",
+    },
+    body: { id: 1 },
+  };
+  await expect(
+    validator(request, { securityHandlers: { oauth: async () => false } })
+  ).resolves.toMatchObject({ status: 403 });
+  await expect(
+    validator(request, { securityHandlers: { oauth: async () => true } })
+  ).resolves.toMatchObject({
+    status: 400,
+    errors: [{ path: "name", location: "body" }],
+  });
+  await expect(
+    validator(
+      { ...request, body: { id: 1, name: "rex" } },
+      { securityHandlers: { oauth: async () => true } }
+    )
+  ).resolves.toBe(undefined);
+  await expect(
+    validator(request, { securityHandlers: { oauth: async () => "yes" } })
+  ).rejects.toThrow(
+    "securityHandlers.oauth must return or resolve to a boolean"
+  );
+});
+
+test("security is not checked without the option", () => {
+  generateOASValidationCode(
+    __dirname + "/../testdata/petstore.yaml",
+    __dirname + "/generated/security-disabled"
+  );
+  const validator = require("./generated/security-disabled/petstore_pets{petId}_get");
+  expect(validator({ params: { petId: "abc" } })).toBe(undefined);
+});
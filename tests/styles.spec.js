@@ -0,0 +1,168 @@
+const generateOASValidationCode = require("../index");
+
+beforeAll(() => {
+  generateOASValidationCode(
+    __dirname + "/../testdata/petstore.yaml",
+    __dirname + "/generated/styles",
+    { coerceTypes: true }
+  );
+});
+
+function validateSearch(request) {
+  const validator = require("./generated/styles/petstore_petssearch_get");
+  return validator({ headers: {}, query: {}, ...request });
+}
+
+test("form arrays without explode", () => {
+  const request = { query: { ids: "1,2,3" } };
+  expect(validateSearch(request)).toBe(undefined);
+  expect(request.query.ids).toEqual([1, 2, 3]);
+});
+
+test("spaceDelimited arrays", () => {
+  const request = { query: { names: "rex fido" } };
+  expect(validateSearch(request)).toBe(undefined);
+  expect(request.query.names).toEqual(["rex", "fido"]);
+});
+
+test("pipeDelimited arrays", () => {
+  const request = { query: { colors: "black|white" } };
+  expect(validateSearch(request)).toBe(undefined);
+  expect(request.query.colors).toEqual(["black", "white"]);
+});
+
+test("deepObject objects", () => {
+  const request = { query: { "filter[name]": "rex", "filter[tag]": "dog" } };
+  expect(validateSearch(request)).toBe(undefined);
+  expect(request.query).toEqual({ filter: { name: "rex", tag: "dog" } });
+
+  const result = validateSearch({ query: { "filter[color]": "black" } });
+  expect(result.errors).toEqual([
+    {
+      errorCode: "additionalProperties.openapi.requestValidation",
+      location: "query",
+      message: "must NOT have additional properties",
+      path: "filter",
+    },
+  ]);
+});
+
+test("deepObject objects already parsed by the query parser", () => {
+  const request = { query: { filter: { name: "rex" } } };
+  expect(validateSearch(request)).toBe(undefined);
+  expect(request.query).toEqual({ filter: { name: "rex" } });
+});
+
+test("exploded form objects", () => {
+  const request = { query: { min: "1", max: "3" } };
+  expect(validateSearch(request)).toBe(undefined);
+  expect(request.query).toEqual({ age: { min: "1", max: "3" } });
+});
+
+test("form objects without explode", () => {
+  const request = { query: { sort: "field,name,order,asc" } };
+  expect(validateSearch(request)).toBe(undefined);
+  expect(request.query.sort).toEqual({ field: "name", order: "asc" });
+
+  const result = validateSearch({ query: { sort: "field,name,order,up" } });
+  expect(result.errors[0].path).toBe("sort.order");
+});
+
+test("simple header arrays and exploded objects", () => {
+  const request = {
+    headers: { "X-Tags": "cute,small", "X-Owner": "role=admin,name=alex" },
+  };
+  expect(validateSearch(request)).toBe(undefined);
+  expect(request.headers).toEqual({
+    "X-Tags": ["cute", "small"],
+    "X-Owner": { role: "admin", name: "alex" },
+  });
+});
+
+test("label and matrix path parameters", () => {
+  const validator = require("./generated/styles/petstore_pets{petId}visits{visitIds}{period}_get");
+  const params = {
+    petId: ".rex",
+    visitIds: ".3.4",
+    period: ";from=2020-01-01;to=2020-02-01",
+  };
+  expect(validator({ params })).toBe(undefined);
+  expect(params).toEqual({
+    petId: "rex",
+    visitIds: ["3", "4"],
+    period: { from: "2020-01-01", to: "2020-02-01" },
+  });
+
+  const result = validator({
+    params: { petId: ".rex", visitIds: ".3", period: ";to=2020-02-01" },
+  });
+  expect(result.errors).toEqual([
+    {
+      errorCode: "required.openapi.requestValidation",
+      location: "path",
+      message: "must have required property 'from'",
+      path: "period.from",
+    },
+  ]);
+});
+
+test("matched through the router", () => {
+  const validateRequest = require("./generated/styles/petstore_router");
+  const request = {
+    method: "GET",
+    url: "/pets/.rex/visits/.3.4/;from=2020-01-01",
+  };
+  expect(validateRequest(request)).toBe(undefined);
+  expect(validateRequest.match("GET", "/pets/search").route.operationId).toBe(
+    "searchPets"
+  );
+});
+
+test("converts deserialized items without coerceTypes", () => {
+  generateOASValidationCode(
+    __dirname + "/../testdata/petstore.yaml",
+    __dirname + "/generated/styles-strict"
+  );
+  const validator = require("./generated/styles-strict/petstore_petssearch_get");
+  const request = { headers: {}, query: { ids: "1,2,3" } };
+  expect(validator(request)).toBe(undefined);
+  expect(request.query.ids).toEqual([1, 2, 3]);
+
+  expect(validator({ headers: {}, query: { ids: "1,x" } }).errors).toEqual([
+    {
+      errorCode: "type.openapi.requestValidation",
+      location: "query",
+      message: "must be integer",
+      path: "ids.1",
+    },
+  ]);
+});
+
+test("converts exploded form array items without coerceTypes", () => {
+  const validators = generateOASValidationCode.compile({
+    openapi: "3.0.3",
+    info: { title: "styles", version: "1.0.0" },
+    paths: {
+      "/pets": {
+        get: {
+          operationId: "listPets",
+          parameters: [
+            {
+              name: "ids",
+              in: "query",
+              schema: { type: "array", items: { type: "integer" } },
+            },
+          ],
+          responses: { 200: { description: "pets" } },
+        },
+      },
+    },
+  });
+  const single = { headers: {}, query: { ids: "1" } };
+  expect(validators.listPets(single)).toBe(undefined);
+  expect(single.query.ids).toEqual([1]);
+
+  const repeated = { headers: {}, query: { ids: ["1", "2"] } };
+  expect(validators.listPets(repeated)).toBe(undefined);
+  expect(repeated.query.ids).toEqual([1, 2]);
+});
@@ -0,0 +1,153 @@
+const generateOASValidationCode = require("../index");
+
+beforeAll(() => {
+  generateOASValidationCode(
+    __dirname + "/../testdata/petstore-swagger2.yaml",
+    __dirname + "/generated/swagger2",
+    { coerceTypes: true, validateSecurity: true }
+  );
+});
+
+function validator(name) {
+  return require(`./generated/swagger2/petstore-swagger2_${name}`);
+}
+
+test("deserializes collectionFormat parameters", () => {
+  const validateRequest = validator("pets_get");
+  const request = {
+    headers: { "x-request-ids": "1\t2" },
+    query: { limit: "5", tags: "a,b", ids: "3", colors: "black|red" },
+  };
+  expect(validateRequest(request).errors).toEqual([
+    {
+      path: "colors.1",
+      errorCode: "enum.openapi.requestValidation",
+      message: "must be equal to one of the allowed values",
+      location: "query",
+    },
+  ]);
+  expect(request.query).toEqual({
+    limit: 5,
+    tags: ["a", "b"],
+    ids: [3],
+    colors: ["black", "red"],
+  });
+  expect(request.headers).toEqual({ "x-request-ids": [1, 2] });
+});
+
+test("validates body parameters against the consumed media types", () => {
+  const validateRequest = validator("pets_post");
+  const request = (contentType, body) => ({
+    headers: { "x-api-key": "key", "content-type": contentType },
+    body,
+  });
+  expect(
+    validateRequest(request("application/json", { id: 1, name: "rex" }))
+  ).toBe(undefined);
+  expect(
+    validateRequest(request("application/json", { id: 1 })).errors
+  ).toEqual([
+    {
+      path: "name",
+      errorCode: "required.openapi.requestValidation",
+      message: "must have required property 'name'",
+      location: "body",
+    },
+  ]);
+  expect(validateRequest(request("text/plain", "rex"))).toEqual({
+    status: 415,
+    errors: [{ message: "Unsupported Content-Type text/plain" }],
+  });
+});
+
+test("validates formData parameters and files", () => {
+  const validateRequest = validator("pets{petId}photos_post");
+  const request = (body, files) => ({
+    headers: {
+      "x-api-key": "key",
+      "content-type": "multipart/form-data; boundary=abc",
+    },
+    params: { petId: "abc" },
+    body,
+    files,
+  });
+  const body = { caption: "rex", tags: "a,b" };
+  expect(
+    validateRequest(
+      request(body, [{ fieldname: "photo", mimetype: "image/png", size: 3 }])
+    )
+  ).toBe(undefined);
+  expect(body.tags).toEqual(["a", "b"]);
+  expect(validateRequest(request({ caption: "rex" })).errors).toEqual([
+    {
+      path: "photo",
+      errorCode: "required.openapi.requestValidation",
+      message: "must have required property 'photo'",
+      location: "body",
+    },
+  ]);
+
+  const rate = validator("pets{petId}rating_put");
+  expect(
+    rate({
+      headers: {
+        "x-api-key": "key",
+        "content-type": "application/x-www-form-urlencoded",
+      },
+      params: { petId: "abc" },
+      body: { stars: "9" },
+    }).errors
+  ).toEqual([
+    {
+      path: "stars",
+      errorCode: "maximum.openapi.requestValidation",
+      message: "must be <= 5",
+      location: "body",
+    },
+  ]);
+});
+
+test("checks securityDefinitions", () => {
+  expect(
+    validator("pets_post")({
+      headers: { "content-type": "application/json" },
+      body: { id: 1, name: "rex" },
+    }).status
+  ).toBe(401);
+  expect(
+    validator("pets{petId}_delete")({
+      headers: { authorization: "Basic YTpi" },
+      params: { petId: "abc" },
+    })
+  ).toBe(undefined);
+});
+
+test("routes requests below the basePath", () => {
+  const router = require("./generated/swagger2/petstore-swagger2_router");
+  expect(router.match("GET", "/v1/pets/abc").route.operationId).toBe(
+    "showPetById"
+  );
+});
+
+test("validates responses with their produced media types", () => {
+  expect(
+    validator("pets_get").validateResponse({
+      status: 200,
+      headers: { "content-type": "application/json", "x-next": "not a uri" },
+      body: [{ id: 1 }],
+    }).errors
+  ).toEqual([
+    {
+      path: "x-next",
+      errorCode: "format.openapi.responseValidation",
+      message: 'must match format "uri"',
+      location: "headers",
+    },
+    {
+      path: "0.name",
+      errorCode: "required.openapi.responseValidation",
+      message: "must have required property 'name'",
+      location: "body",
+    },
+  ]);
+});
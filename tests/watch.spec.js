@@ -0,0 +1,80 @@
+const fs = require("fs");
+const generateOASValidationCode = require("../index");
+
+const src = __dirname + "/generated/watch-src";
+const out = __dirname + "/generated/watch";
+let watcher;
+
+function nextEvent(events) {
+  return new Promise((resolve) => events.push(resolve));
+}
+
+// a save can produce more than one change event
+function emit(events, value) {
+  if (events.length) {
+    events.shift()(value);
+  }
+}
+
+function loadCreatePets() {
+  jest.resetModules();
+  return require("./generated/watch/openapi_pets_post");
+}
+
+beforeAll(() => {
+  fs.rmSync(src, { recursive: true, force: true });
+  fs.cpSync(__dirname + "/../testdata/multi-file", src, { recursive: true });
+});
+
+afterAll(() => {
+  if (watcher) {
+    watcher.close();
+  }
+});
+
+test("regenerates when the spec or a referenced file changes", async () => {
+  const generated = [];
+  const errors = [];
+  const generatedEvent = () => nextEvent(generated);
+  const errorEvent = () => nextEvent(errors);
+
+  let firstGeneration = generatedEvent();
+  watcher = generateOASValidationCode.watch(`${src}/openapi.yml`, out, {
+    delay: 10,
+    onGenerate: (routes) => emit(generated, routes),
+    onError: (e) => emit(errors, e),
+  });
+  const routes = await firstGeneration;
+  expect(routes.map((route) => route.operationId)).toEqual([
+    "listPets",
+    "createPets",
+  ]);
+  const request = {
+    headers: { "content-type": "application/json" },
+    body: { id: 1, name: "rex", owner: { name: "a" } },
+  };
+  expect(loadCreatePets()(request)).toBe(undefined);
+
+  // a file referenced from another referenced file
+  const regenerated = generatedEvent();
+  fs.writeFileSync(
+    `${src}/schemas/owner.yaml`,
+    "type: object\nproperties:\n  name:\n    type: string\n    minLength: 2\n",
+    "utf-8"
+  );
+  await regenerated;
+  expect(loadCreatePets()(request).errors[0].path).toBe("owner.name");
+
+  // errors are reported without stopping the watcher
+  const failed = errorEvent();
+  fs.writeFileSync(`${src}/schemas/pet.yaml`, "Pet: [", "utf-8");
+  expect((await failed).message).toMatch(/Cannot resolve \$ref/);
+
+  const recovered = generatedEvent();
+  fs.copyFileSync(
+    __dirname + "/../testdata/multi-file/schemas/pet.yaml",
+    `${src}/schemas/pet.yaml`
+  );
+  await recovered;
+  expect(loadCreatePets()(request).errors[0].path).toBe("owner.name");
+});